@@ -2,7 +2,7 @@
 // Dynamic books: branching pages (JSON), illustrations, stat effects, Aterna events.
 
 import { Topics } from './aterna.js';
-import { clamp01 } from './utils.js';
+import { applyEffects } from './effects.js';
 
 function extractJSON(text) {
   if (!text) return null;
@@ -154,7 +154,7 @@ export class BooksEngine {
   // ----- Internals -----
 
   _availableBooks() {
-    const invIds = this.g.state.inventory || [];
+    const invIds = this.g.inventoryIds();
     return invIds
       .map(id => this.g.items[id])
       .filter(isBookItem);
@@ -162,7 +162,7 @@ export class BooksEngine {
 
   _findBookId(token) {
     if (!token) return null;
-    const invIds = this.g.state.inventory || [];
+    const invIds = this.g.inventoryIds();
     const low = token.toLowerCase();
     for (const id of invIds) {
       const it = this.g.items[id];
@@ -222,7 +222,14 @@ export class BooksEngine {
     s.current = obj.page_id;
     s.lastAt = Date.now();
 
+    // A page without choices ends the book (counts toward evolution requirements)
+    const done = this.g.state.completedBooks;
+    if (!obj.choices.length && !done.includes(s.bookId)) done.push(s.bookId);
+
     this._renderCurrent();
+    // Finishing a book teaches the recipes it lists in `teaches`
+    if (!obj.choices.length) for (const r of [].concat(this.g.items[s.bookId]?.teaches || [])) this.g.crafting.learn(r);
+    this.g.emit('book_page', { book: s.bookId, page: obj.page_id, ended: !obj.choices.length });
     this._publishBookEvent('book_page', { page_id: obj.page_id, choice_id: chosen?.id || null });
     // snapshot (optional)
     this._publishBookSnapshot();
@@ -244,34 +251,7 @@ export class BooksEngine {
   }
 
   _applyEffects(effects) {
-    if (!effects || typeof effects !== 'object') return;
-    // Supported: truth, quantum, shadow, insight, hp (deltas or absolutes with =)
-    const s = this.g.state;
-    const upd = (field, val) => {
-      if (typeof val === 'number') s[field] = clamp01(s[field] + val);
-      else if (typeof val === 'string' && /^=/.test(val)) {
-        const num = parseFloat(val.slice(1));
-        if (!isNaN(num)) s[field] = clamp01(num);
-      }
-    };
-    if ('truth' in effects)  upd('truthDensity', effects.truth);
-    if ('quantum' in effects) upd('quantumState', effects.quantum); // special: could be {coherence: +0.1}
-    if (effects.quantum && typeof effects.quantum === 'object' && 'coherence' in effects.quantum) {
-      s.quantumState.coherence = clamp01(s.quantumState.coherence + (effects.quantum.coherence || 0));
-    }
-    if ('shadow' in effects) upd('shadowIntegration', effects.shadow);
-    if ('insight' in effects) {
-      const val = effects.insight;
-      if (typeof val === 'number') s.insight += Math.floor(val);
-    }
-    if ('hp' in effects) {
-      const v = effects.hp;
-      if (typeof v === 'number') s.hp = Math.max(0, Math.min(100, s.hp + Math.floor(v)));
-    }
-    if (effects.give_item && this.g.items[effects.give_item]) this.g.addItem(effects.give_item);
-    if (effects.take_item && this.g.items[effects.take_item]) this.g.removeItem(effects.take_item);
-    this.g.updateDisplay();
-    this.g.publishPlayerState('book_effects').catch(()=>{});
+    applyEffects(this.g, effects, 'book_effects');
   }
 
   _promptPage(session, path, roomName, chosen) {
@@ -0,0 +1,187 @@
+// js/cli.js
+// Readline-style behaviour for #command-input: history (↑/↓), reverse search (Ctrl+R)
+// and context-aware Tab completion driven by each command's `complete` metadata.
+
+import { Completers } from './commands.js';
+
+function commonPrefix(list) {
+  if (!list.length) return '';
+  let p = list[0];
+  for (const s of list) {
+    while (p && !s.toLowerCase().startsWith(p.toLowerCase())) p = p.slice(0, -1);
+  }
+  return p;
+}
+
+export class CommandLine {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    this.input = null;
+    this.hint = null;
+    this.cursor = null;   // index into history while browsing, null = editing a fresh line
+    this.draft = '';      // line being edited before browsing started
+    this.search = null;   // { query, index, original } while in reverse-i-search
+  }
+
+  attach(input, hint = null) {
+    if (!input) return;
+    this.input = input;
+    this.hint = hint;
+    input.addEventListener('keydown', e => this.onKeyDown(e));
+    input.addEventListener('input', () => { if (!this.search) this.cursor = null; });
+  }
+
+  get history() { return this.g.state.history || []; }
+
+  onKeyDown(e) {
+    if (this.search) { this._onSearchKey(e); return; }
+    if (e.key === 'ArrowUp') { e.preventDefault(); this.step(-1); }
+    else if (e.key === 'ArrowDown') { e.preventDefault(); this.step(1); }
+    else if (e.key === 'Tab') { e.preventDefault(); this.complete(); }
+    else if (e.key === 'r' && e.ctrlKey) { e.preventDefault(); this._startSearch(); }
+    else if (e.key === 'Enter') { this.cursor = null; this.draft = ''; this.setHint(''); }
+    else if (e.key === 'Escape') { this.setHint(''); }
+  }
+
+  /**
+   * Move through history; -1 is older, +1 is newer. Past the newest entry restores the draft.
+   */
+  step(dir) {
+    const h = this.history;
+    if (!h.length) return;
+    if (this.cursor === null) {
+      if (dir > 0) return;
+      this.draft = this.input.value;
+      this.cursor = h.length;
+    }
+    const next = this.cursor + dir;
+    if (next < 0) return;
+    if (next >= h.length) {
+      this.cursor = null;
+      this.input.value = this.draft;
+      return;
+    }
+    this.cursor = next;
+    this.input.value = h[next];
+  }
+
+  // ----- Reverse search -----
+
+  _startSearch() {
+    this.search = { query: '', index: this.history.length, original: this.input.value };
+    this._renderSearch();
+  }
+
+  _findBackward(from) {
+    const q = this.search.query.toLowerCase();
+    const h = this.history;
+    for (let i = Math.min(from, h.length) - 1; i >= 0; i--) {
+      if (h[i].toLowerCase().includes(q)) return i;
+    }
+    return -1;
+  }
+
+  _onSearchKey(e) {
+    const s = this.search;
+    if (e.key === 'Enter') {
+      // Accept the match and let the Enter handler submit it
+      this.search = null;
+      this.setHint('');
+      return;
+    }
+    e.preventDefault();
+    if (e.key === 'Escape' || (e.key === 'g' && e.ctrlKey)) {
+      this.input.value = s.original;
+      this.search = null;
+      this.setHint('');
+      return;
+    }
+    if (e.key === 'r' && e.ctrlKey) {
+      const i = this._findBackward(s.index);
+      if (i >= 0) s.index = i;
+    } else if (e.key === 'Backspace') {
+      s.query = s.query.slice(0, -1);
+      s.index = this._findBackward(this.history.length);
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+      s.query += e.key;
+      s.index = this._findBackward(this.history.length);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Tab') {
+      // Keep the match for editing
+      this.search = null;
+      this.setHint('');
+      return;
+    }
+    this._renderSearch();
+  }
+
+  _renderSearch() {
+    const s = this.search;
+    const match = s.index >= 0 ? this.history[s.index] : null;
+    if (match !== undefined && match !== null) this.input.value = match;
+    this.setHint(`(reverse-i-search)\`${s.query}': ${match ?? '— no match'}`);
+  }
+
+  // ----- Completion -----
+
+  /**
+   * Candidates for the last `;`-segment of a line: verbs for the first word,
+   * otherwise whatever the matched command's `complete` sources provide.
+   * @returns {{ head: string, partial: string, options: string[] }}
+   */
+  candidates(line) {
+    const cut = line.lastIndexOf(';');
+    const head = cut >= 0 ? line.slice(0, cut + 1) + ' ' : '';
+    const seg = line.slice(cut + 1).replace(/^\s+/, '');
+    const sp = seg.indexOf(' ');
+    if (sp < 0) {
+      const verbs = Array.from(this.g.commands.keys()).filter(v => !this.g.isCommandLocked(this.g.commands.get(v)));
+      return { head, partial: seg, options: verbs.filter(v => !v.includes(' ') && v.startsWith(seg.toLowerCase())), verb: true };
+    }
+    const verb = seg.slice(0, sp).toLowerCase();
+    let rest = seg.slice(sp + 1);
+    let spec = this.g.commands.get(verb);
+    let prefix = `${seg.slice(0, sp)} `;
+    // Two-word verbs ("book open codex")
+    const sub = rest.split(' ');
+    if (sub.length > 1 && this.g.commands.has(`${verb} ${sub[0].toLowerCase()}`)) {
+      spec = this.g.commands.get(`${verb} ${sub[0].toLowerCase()}`);
+      prefix += `${sub[0]} `;
+      rest = sub.slice(1).join(' ');
+    }
+    const pool = new Set();
+    // Sub-verbs of a two-word command ("book cl" → "book close")
+    if (sub.length === 1) {
+      for (const k of this.g.commands.keys()) {
+        if (k.startsWith(`${verb} `)) pool.add(k.slice(verb.length + 1));
+      }
+    }
+    for (const key of spec?.complete || []) {
+      const fn = Completers[key];
+      if (fn) { try { fn(this.g).forEach(x => pool.add(x)); } catch {} }
+    }
+    const low = rest.toLowerCase();
+    const options = Array.from(pool).filter(x => x.toLowerCase().startsWith(low));
+    return { head: head + prefix, partial: rest, options };
+  }
+
+  complete() {
+    const line = this.input.value;
+    const { head, partial, options, verb } = this.candidates(line);
+    if (!options.length) { this.setHint(''); return; }
+    if (options.length === 1) {
+      this.input.value = head + options[0] + (verb ? ' ' : '');
+      this.setHint('');
+      return;
+    }
+    const common = commonPrefix(options);
+    if (common.length > partial.length) this.input.value = head + common;
+    this.setHint(options.join('  '));
+  }
+
+  setHint(text) {
+    if (this.hint) this.hint.textContent = text;
+  }
+}
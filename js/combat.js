@@ -0,0 +1,362 @@
+// js/combat.js
+// Combat resolved from stats. A fighter's profile comes from its public state (truth,
+// quantum, shadow, archetype and equipped gear, whose modifiers scale the matching stat):
+//
+//   attack  = 4 + 8·truth + 4·shadow + archetype      damage before defence
+//   defence = 4 + 6·shadow + 4·quantum + archetype    each point absorbs a share of the blow
+//   focus   = quantum                                 hit, dodge and critical chances
+//
+// Actions go out on the room's combat topic carrying what was done and the inputs of the roll,
+// never a damage number:
+//
+//   { event_type: 'attack', target: { id, name },
+//     payload: { action, seq, nonce, blow, profiles: { attacker, defender }, guarded } }
+//
+// Profiles come from the public states the room last saw (ours from game.presented, theirs
+// from roomPeers), so every client rolls resolve() on the same inputs and sees the same hit.
+// The seed leaves the attacker nothing to choose: it mixes the defender's `nonce` (rolled
+// afresh with each presence it publishes) with `blow`, the count of this attacker's blows on
+// that nonce, which must be exactly one more than the last the receiver saw (a missed blow
+// stalls the count only until the defender's next presence). A receiver checks
+// both profiles against its own record of those players and drops the action on a mismatch,
+// as it does repeated seqs and actions sent faster than their cooldown allows. `defend` is
+// announced the same way and halves damage while it lasts; whether it applies is the
+// receiver's own view, taking the attacker's `guarded` only within GUARD_SLACK_MS of either
+// end of the guard.
+// Encounters (js/encounters.js) are fought offline with the same resolve().
+
+import { meetsConditions, describeUnmet } from './conditions.js';
+import { MAX_HP } from './vitality.js';
+
+export const GUARD_MS = 6000;
+const GUARD_SLACK_MS = 750;                 // near a guard's start or end either view is fair
+export const ENGAGED_MS = 30 * 1000;        // how long after a blow you count as in combat
+const COOLDOWN_SLACK = 0.5;                 // receivers allow for network jitter
+
+export const ARCHETYPES = {
+  Warrior:  { attack: 2, defence: 0 },
+  Guardian: { attack: 0, defence: 2 },
+  Sage:     { attack: 1, defence: 1 },
+  Mystic:   { attack: 1, defence: 0, focus: 0.1 },
+  Wanderer: { attack: 0, defence: 1 }
+};
+
+// Attacking actions. `requires` uses the conditions DSL (js/conditions.js).
+export const ABILITIES = {
+  strike:     { name: 'strike', power: 1, cooldown: 2 },
+  illuminate: { name: 'illuminate', power: 1.6, cooldown: 8, requires: { truth: 0.4 },
+                verb: 'sears', text: 'truth flares from your hands' },
+  entangle:   { name: 'entangle', power: 1, pierce: true, cooldown: 10, requires: { quantum: 0.3 },
+                verb: 'entangles', text: 'you fold the space around them' },
+  eclipse:    { name: 'eclipse', power: 1.2, drain: 0.5, cooldown: 12, requires: { shadow: 0.4 },
+                verb: 'eclipses', text: 'your shadow drinks from theirs' }
+};
+const COOLDOWNS = { defend: 8, flee: 10 };
+
+const clamp01 = n => Math.max(0, Math.min(1, Number(n) || 0));
+const sameProfile = (a, b) => !!a && ['attack', 'defence', 'focus'].every(k => Math.abs(Number(a[k]) - b[k]) < 1e-6);
+
+/**
+ * 32-bit FNV-1a of a string.
+ */
+export function hash(key) {
+  let h = 2166136261;
+  for (let i = 0; i < key.length; i++) { h ^= key.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+
+/**
+ * Seeded generator of 0..1 numbers (mulberry32).
+ */
+export function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * One blow: { hit, crit, dmg, heal }. Pure, so every client computes the same result.
+ */
+export function resolve(attacker, defender, ability, seed, guarded = false) {
+  const r = rng(seed);
+  const hitChance = Math.max(0.4, Math.min(0.95, 0.8 + 0.25 * (attacker.focus - defender.focus)));
+  if (r() >= hitChance) return { hit: false, crit: false, dmg: 0, heal: 0 };
+  const crit = r() < 0.05 + 0.15 * attacker.focus;
+  const defence = ability.pierce ? defender.defence / 4 : defender.defence;
+  let dmg = attacker.attack * ability.power * (0.85 + 0.3 * r()) * 20 / (20 + 2 * defence);
+  if (crit) dmg *= 1.5;
+  if (guarded) dmg *= 0.5;
+  dmg = Math.max(1, Math.round(dmg));
+  return { hit: true, crit, dmg, heal: ability.drain ? Math.round(dmg * ability.drain) : 0 };
+}
+
+export class Combat {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    this.seq = Date.now();      // our action counter; only ever grows
+    this.ready = {};            // action → time it may be used again
+    this.guards = new Map();    // player id → guard ends (ms)
+    this.seen = new Map();      // attacker id → { seq, at: { action: ms } }
+    this.blows = new Map();     // 'attacker>target' → { nonce, n }: blows seen on the target's nonce
+    this.rotate();
+    this.engagedAt = 0;
+  }
+
+  // ----- Profiles -----
+
+  /**
+   * Combat profile from a public player state (js/game.js buildPublicPlayerState).
+   */
+  profile(pub = this.g.buildPublicPlayerState()) {
+    const bonus = key => Object.values(pub?.equipped || {})
+      .reduce((sum, id) => sum + (Number(this.g.items[id]?.modifiers?.[key]) || 0), 0);
+    const stat = key => clamp01(pub?.[key]) * Math.max(0, 1 + bonus(key));
+    const arch = ARCHETYPES[pub?.archetype] || ARCHETYPES.Wanderer;
+    return {
+      attack: 4 + 8 * stat('truth') + 4 * stat('shadow') + (arch.attack || 0),
+      defence: 4 + 6 * stat('shadow') + 4 * stat('quantum') + (arch.defence || 0),
+      focus: Math.min(1, stat('quantum') + (arch.focus || 0))
+    };
+  }
+
+  guarded(id, now = Date.now()) {
+    return (this.guards.get(id) || 0) > now;
+  }
+
+  /**
+   * Whether a blow on `id` lands guarded, by our record; the attacker's `claimed` view
+   * decides only near the edges of a guard we know of.
+   */
+  guardFor(id, claimed, now = Date.now()) {
+    const end = this.guards.get(id) || 0;
+    if (!end) return false;
+    const nearEdge = Math.abs(now - end) < GUARD_SLACK_MS || Math.abs(now - (end - GUARD_MS)) < GUARD_SLACK_MS;
+    return nearEdge ? !!claimed : end > now;
+  }
+
+  /**
+   * New nonce for blows against us; published with each presence (game.publishPresence).
+   */
+  rotate() {
+    this.nonce = Math.floor(Math.random() * 4294967296).toString(36);
+  }
+
+  engaged(now = Date.now()) {
+    return now - this.engagedAt < ENGAGED_MS;
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `attack <foe|player>` and the abilities (`illuminate`, `entangle`, `eclipse`). An encounter
+   * here is fought offline (js/encounters.js); players need Aterna.
+   */
+  async attack(targetStr, action = 'strike') {
+    const g = this.g;
+    const ability = ABILITIES[action];
+    const foe = g.encounters.find(targetStr);
+    if (!foe && !g.aterna?.enabled) { g.addOutput('There is nothing here to fight.'); return; }
+    if (!foe && !targetStr) { g.addOutput(`${action === 'strike' ? 'Attack' : ability.name[0].toUpperCase() + ability.name.slice(1)} whom?`); return; }
+    const peer = foe ? null : [...g.roomPeers].find(([, p]) => p.name?.toLowerCase().startsWith(targetStr.toLowerCase()));
+    if (!foe && !peer) { g.addOutput('No such target.'); return; }
+    if (ability.requires && !meetsConditions(g, ability.requires)) {
+      g.addOutput(`You cannot ${ability.name} yet (needs ${describeUnmet(g, ability.requires).join(', ')}).`);
+      return;
+    }
+    if (!this._ready(action)) return;
+    if (foe) { this.engagedAt = Date.now(); await g.encounters.attack(ability); return; }
+    const [id, target] = peer;
+    if ((target.hp ?? 100) <= 0) { g.addOutput(`${target.name} is already down.`); return; }
+
+    const me = g.buildPublicPlayerState();
+    const seq = ++this.seq;
+    const profiles = { attacker: this.profile(g.presented || me), defender: this.profile(target) };
+    const guarded = this.guarded(id);
+    const blow = this._blow(me.id, id, target.nonce);
+    const out = resolve(profiles.attacker, profiles.defender, ability, this._seed(me.id, id, target.nonce, blow), guarded);
+    this.engagedAt = Date.now();
+    if (ability.text) g.addOutput(`[${ability.text[0].toUpperCase()}${ability.text.slice(1)}.]`, 'system-message');
+    g.addOutput(!out.hit ? `${target.name} slips your ${ability.name}.`
+      : `You ${action === 'strike' ? 'strike' : ability.name} ${target.name} for ${out.dmg}${out.crit ? ' — a critical blow' : ''}.`);
+    this._land(id, target, out);
+    if (out.heal) this.heal(out.heal);
+    await g.publishRoomEvent(g.state.currentRoom, {
+      event_type: 'attack', player: me, target: { id, name: target.name }, payload: { action, seq, nonce: target.nonce, blow, profiles, guarded }
+    }).catch(()=>{});
+  }
+
+  /**
+   * `defend`: halve incoming damage for a few seconds.
+   */
+  async defend() {
+    const g = this.g;
+    if (!this._ready('defend')) return;
+    const seq = ++this.seq;
+    this.guards.set(g.playerId, Date.now() + GUARD_MS);
+    g.addOutput('You brace yourself, guard raised.');
+    if (g.encounters.active) g.encounters.turn();
+    await g.publishRoomEvent(g.state.currentRoom, {
+      event_type: 'defend', player: g.buildPublicPlayerState(), payload: { seq }
+    }).catch(()=>{});
+  }
+
+  /**
+   * `flee`: try to break away through a random open exit.
+   */
+  async flee() {
+    const g = this.g;
+    if (!this.engaged() && !g.encounters.active) { g.addOutput('There is nothing to flee from.'); return; }
+    const exits = Object.keys(g.roomTemplates[g.state.currentRoom]?.exits || {})
+      .map(dir => g.getExit(g.state.currentRoom, dir))
+      .filter(e => e && g.isExitVisible(e) && !g.exitRefusal(e));
+    if (!exits.length) { g.addOutput('There is no way out!'); return; }
+    if (!this._ready('flee')) return;
+    const me = this.profile();
+    const r = rng(hash(`${g.playerId}~flee#${++this.seq}`));
+    if (r() >= 0.45 + 0.4 * me.focus) {
+      g.addOutput('You try to break away, but cannot.');
+      if (g.encounters.active) g.encounters.turn();
+      return;
+    }
+    const exit = exits[Math.floor(r() * exits.length)];
+    this.engagedAt = 0;
+    g.encounters.escape();
+    g.addOutput(`You flee ${exit.dir}!`);
+    await g.handleMovement(exit.dir);
+  }
+
+  /**
+   * `abilities`: what you can do in a fight, and when.
+   */
+  list() {
+    const g = this.g;
+    const now = Date.now();
+    const p = this.profile();
+    const lines = [`[Combat] Attack ${p.attack.toFixed(1)}, Defence ${p.defence.toFixed(1)}, Focus ${Math.round(p.focus * 100)}%`];
+    const wait = a => (this.ready[a] || 0) > now ? ` — ready in ${Math.ceil((this.ready[a] - now) / 1000)}s` : '';
+    for (const [id, a] of Object.entries(ABILITIES)) {
+      const locked = a.requires && !meetsConditions(g, a.requires);
+      lines.push(`- ${id === 'strike' ? 'attack' : id} <player>: power ${a.power}${a.pierce ? ', ignores most defence' : ''}${a.drain ? ', heals you' : ''}, ${a.cooldown}s`
+        + (locked ? ` (needs ${describeUnmet(g, a.requires).join(', ')})` : wait(id)));
+    }
+    lines.push(`- defend: halve damage for ${GUARD_MS / 1000}s, ${COOLDOWNS.defend}s${wait('defend')}`);
+    lines.push(`- flee: break away through an open exit, ${COOLDOWNS.flee}s${wait('flee')}`);
+    g.addOutput(lines.join('\n'));
+  }
+
+  /**
+   * Restore HP (drain abilities).
+   */
+  heal(n) {
+    const g = this.g;
+    const healed = g.vitality.change(n, 'drain');
+    if (!healed) return;
+    g.addOutput(`[+${healed} HP]`, 'system-message');
+    g.saveState();
+    g.publishPlayerState('heal').catch(()=>{});
+  }
+
+  // ----- Incoming -----
+
+  /**
+   * Resolve an attack or defend from the room's combat topic.
+   */
+  onEvent(d) {
+    const g = this.g;
+    const from = d.player;
+    const p = d.payload || {};
+    if (!from?.id || from.id === g.playerId || !this._fresh(from.id, p)) return;
+    if (d.event_type === 'defend') {
+      this.guards.set(from.id, Date.now() + GUARD_MS);
+      g.addOutput(`${from.name} raises their guard.`);
+      return;
+    }
+    const ability = ABILITIES[p.action];
+    const targetId = d.target?.id;
+    if (!ability || !targetId) return;
+    const mine = targetId === g.playerId;
+    const target = mine ? g.buildPublicPlayerState() : g.roomPeers.get(targetId);
+    if (!target || (target.hp ?? 100) <= 0) return;
+    const attacker = g.roomPeers.get(from.id);
+    const claimed = p.profiles || {};
+    if (!attacker || !sameProfile(claimed.attacker, this.profile(attacker))) return;
+    const defender = mine ? g.presented || target : target;
+    if (!sameProfile(claimed.defender, this.profile(defender)) || p.nonce !== defender.nonce) return;
+    const key = `${from.id}>${targetId}`;
+    const last = this.blows.get(key);
+    const seen = last?.nonce === defender.nonce ? last.n : 0;
+    if (Number(p.blow) !== seen + 1) return;
+    this.blows.set(key, { nonce: defender.nonce, n: seen + 1 });
+    const guarded = this.guardFor(targetId, p.guarded);
+    const out = resolve(claimed.attacker, claimed.defender, ability, this._seed(from.id, targetId, defender.nonce, seen + 1), guarded);
+    if (out.heal) attacker.hp = Math.min(MAX_HP, (attacker.hp ?? MAX_HP) + out.heal);
+    if (!mine) {
+      g.addOutput(out.hit ? `${from.name} ${ability.verb || 'hits'} ${target.name} for ${out.dmg}.` : `${target.name} slips ${from.name}'s ${ability.name}.`);
+      this._land(targetId, target, out);
+      return;
+    }
+    this.engagedAt = Date.now();
+    if (!out.hit) { g.addOutput(`${from.name}'s ${ability.name} misses you.`); return; }
+    g.addOutput(`${from.name} ${ability.verb || 'hits'} you${out.crit ? ' critically' : ''}.`);
+    g.addOutput(`[You take ${out.dmg} damage${guarded ? ', guarded' : ''}]`, 'system-message');
+    g.vitality.change(-out.dmg, from.name);
+    g.saveState();
+    g.publishPlayerState('damage').catch(()=>{});
+  }
+
+  // ----- Internals -----
+
+  _ready(action) {
+    const now = Date.now();
+    const wait = (this.ready[action] || 0) - now;
+    if (wait > 0) { this.g.addOutput(`Not yet — ${action === 'strike' ? 'attack' : action} is ready in ${Math.ceil(wait / 1000)}s.`); return false; }
+    this.ready[action] = now + (ABILITIES[action]?.cooldown ?? COOLDOWNS[action]) * 1000;
+    return true;
+  }
+
+  /**
+   * Our next blow number on a target's current nonce.
+   */
+  _blow(from, to, nonce) {
+    const key = `${from}>${to}`;
+    const last = this.blows.get(key);
+    const n = (last?.nonce === nonce ? last.n : 0) + 1;
+    this.blows.set(key, { nonce, n });
+    return n;
+  }
+
+  _seed(from, to, nonce, blow) {
+    return hash(`${from}>${to}~${nonce ?? ''}#${blow}`);
+  }
+
+  /**
+   * Drop repeated or older actions, and actions sent faster than their cooldown.
+   */
+  _fresh(id, p) {
+    const seq = Number(p.seq);
+    const action = p.action || 'defend';
+    const cooldown = ABILITIES[action]?.cooldown ?? COOLDOWNS[action];
+    if (!Number.isFinite(seq) || cooldown === undefined) return false;
+    const rec = this.seen.get(id) || { seq: -Infinity, at: {} };
+    const now = Date.now();
+    if (seq <= rec.seq || now - (rec.at[action] ?? -Infinity) < cooldown * 1000 * COOLDOWN_SLACK) return false;
+    rec.seq = seq;
+    rec.at[action] = now;
+    this.seen.set(id, rec);
+    return true;
+  }
+
+  _land(id, target, out) {
+    if (!out.hit || id === this.g.playerId) return;
+    target.hp = Math.max(0, (target.hp ?? 100) - out.dmg);
+    if (target.hp === 0) this.g.addOutput(`${target.name} falls.`, 'system-message');
+  }
+}
@@ -0,0 +1,351 @@
+// js/commands.js
+// Core command table. Each entry is registered through game.registerCommand();
+// help text is generated from the same metadata so verbs, dispatch and help never drift.
+
+/**
+ * Named preconditions a command can list in `requires`.
+ * Each returns true when satisfied; `message` is printed otherwise.
+ */
+export const Requirements = {
+  player: { test: g => !!g.state.player,                    message: 'Your journey has not begun.' },
+  vendor: { test: g => !!g.currentVendor(),                 message: 'No vendor here.' },
+  aterna: { test: g => !!g.aterna?.enabled,                 message: 'Multiplayer is offline.' },
+  ai:     { test: g => !!g.aiEnabled,                       message: 'The Librarian is silent (AI is offline).' },
+  book:   { test: g => !!g.state.bookSession?.current,      message: 'No book is open.' },
+  conversation: { test: g => !!g.npcs.active,               message: 'You are not in a conversation.' },
+  dev:    { test: g => !!g.devMode,                         message: 'The world editor needs dev mode (?dev).' }
+};
+
+/**
+ * Named completion sources a command can list in `complete`.
+ * Each returns candidate strings for the text after the verb.
+ */
+export const Completers = {
+  exits:     g => g.visibleExits(g.state.currentRoom).map(e => e.dir),
+  roomItems: g => g.roomItems(g.state.currentRoom).map(id => g.items[id]?.name || id),
+  inventory: g => g.inventoryIds().map(id => g.items[id]?.name || id),
+  gear:      g => g.inventoryIds().filter(id => g.items[id]?.slot && !g.equipment.isEquipped(id)).map(id => g.items[id].name),
+  equipped:  g => g.equipment.worn().map(w => w.item.name),
+  books:     g => g.inventoryIds().filter(id => g.items[id]?.type === 'book').map(id => g.items[id].name),
+  vendor:    g => (g.currentVendor()?.goods || []).map(x => g.items[x.item]?.name || x.item),
+  peers:     g => Array.from(g.roomPeers.values()).map(p => p.name),
+  offers:    g => Object.values(g.state.exchange.incoming).filter(o => !o.status).map(o => o.fromName),
+  npcs:      g => g.npcs.here().map(n => n.name),
+  quests:    g => Object.keys(g.state.quests).map(id => g.questTemplates[id]?.name || id),
+  replies:   g => g.npcs.choices().map((c, i) => String(i + 1)),
+  choices:   g => {
+    const s = g.state.bookSession;
+    const page = s?.current ? s.pages[s.current] : null;
+    return (page?.choices || []).map((c, i) => c.id || String(i + 1));
+  },
+  commands:  g => g.commandSpecs.filter(s => !s.hidden && !g.isCommandLocked(s)).flatMap(s => s.verbs),
+  evolutions: g => g.evolution.paths().map(p => p.to),
+  rooms:     g => Object.keys(g.roomTemplates),
+  self:      () => ['self']
+};
+
+/**
+ * Register the built-in verbs on a game instance.
+ * @param {QuantumTruthMUD} g
+ */
+export function registerCoreCommands(g) {
+  // Movement
+  g.registerCommand({
+    verbs: ['go'], aliases: ['move', 'walk'], category: 'Movement',
+    usage: 'go <n|s|e|w> (or just n|s|e|w)', complete: ['exits'],
+    handler: cmd => g.handleMovement(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['map'], category: 'Movement', usage: 'map',
+    summary: 'Toggle the mini-map; click visited rooms to travel.', whileDown: true,
+    handler: () => g.toggleMap()
+  });
+
+  // Observe
+  g.registerCommand({
+    verbs: ['look'], aliases: ['examine', 'l'], category: 'Observe',
+    usage: 'look, look self', complete: ['roomItems', 'inventory', 'self'], whileDown: true,
+    handler: cmd => g.handleLook(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['meditate'], category: 'Observe', usage: 'meditate',
+    handler: () => g.handleMeditate()
+  });
+  g.registerCommand({
+    verbs: ['time'], aliases: ['clock'], category: 'Observe', usage: 'time',
+    summary: 'The Library clock, and what the hour is doing to this room.', whileDown: true,
+    handler: () => g.env.show()
+  });
+  g.registerCommand({
+    verbs: ['stats'], category: 'Observe', usage: 'stats', whileDown: true,
+    handler: () => g.showStats()
+  });
+
+  // Items
+  g.registerCommand({
+    verbs: ['take'], aliases: ['get', 'grab'], category: 'Items', usage: 'take [n|all] <item>', complete: ['roomItems'],
+    handler: cmd => g.handleTake(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['use'], category: 'Items', usage: 'use <item> [on <thing>]', complete: ['inventory'],
+    handler: cmd => g.handleUse(cmd.object, cmd.target)
+  });
+  g.registerCommand({
+    verbs: ['inventory'], aliases: ['inv', 'i'], category: 'Items', usage: 'inventory|inv', whileDown: true,
+    handler: () => g.showInventory()
+  });
+  g.registerCommand({
+    verbs: ['combine'], aliases: ['craft', 'mix'], category: 'Items', usage: 'combine <item> with <item>',
+    complete: ['inventory'], summary: 'Make something new from items you carry, if you know how.',
+    handler: cmd => g.crafting.combine(cmd.object, cmd.target)
+  });
+  g.registerCommand({
+    verbs: ['recipes'], category: 'Items', usage: 'recipes',
+    summary: 'Recipes you have learned and what each still needs.',
+    handler: () => g.crafting.list()
+  });
+  g.registerCommand({
+    verbs: ['equip'], aliases: ['wield', 'wear'], category: 'Items', usage: 'equip <item>', complete: ['gear'],
+    summary: 'Carry an item ready in its slot; equipped gear shapes your gains and what you notice.',
+    handler: cmd => g.equipment.equip(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['unequip'], aliases: ['remove'], category: 'Items', usage: 'unequip <item|slot>', complete: ['equipped'],
+    handler: cmd => g.equipment.unequip(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['equipment'], aliases: ['gear'], category: 'Items', usage: 'equipment',
+    summary: 'Your slots, what fills them and their modifiers.', whileDown: true,
+    handler: () => g.equipment.list()
+  });
+  g.registerCommand({
+    verbs: ['drop'], aliases: ['discard'], category: 'Items', usage: 'drop [n|all] <item>', complete: ['inventory'],
+    summary: 'Set an item down here; it stays where you leave it.',
+    handler: cmd => g.handleDrop(cmd.object)
+  });
+
+  // Shop
+  g.registerCommand({
+    verbs: ['shop'], category: 'Shop (when vendor present)', usage: 'shop', requires: ['vendor'],
+    handler: () => g.showShop()
+  });
+  g.registerCommand({
+    verbs: ['buy'], category: 'Shop (when vendor present)', usage: 'buy [n] <item>', requires: ['vendor'], complete: ['vendor'],
+    handler: cmd => g.buyItem(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['sell'], category: 'Shop (when vendor present)', usage: 'sell [n|all] <item>', requires: ['vendor'], complete: ['inventory'],
+    handler: cmd => g.sellItem(cmd.object)
+  });
+
+  // People
+  g.registerCommand({
+    verbs: ['talk'], aliases: ['speak', 'greet'], category: 'People', usage: 'talk <npc>', complete: ['npcs'],
+    summary: 'Start a conversation with someone in the room.',
+    handler: cmd => g.npcs.talk(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['reply'], aliases: ['answer', 'respond'], category: 'People', usage: 'reply <n|words>',
+    requires: ['conversation'], complete: ['replies'],
+    summary: 'Pick a numbered answer, or (with AI) speak freely.',
+    handler: cmd => g.npcs.reply(cmd.text)
+  });
+  g.registerCommand({
+    verbs: ['bye'], aliases: ['farewell'], category: 'People', usage: 'bye', requires: ['conversation'],
+    handler: () => g.npcs.leave()
+  });
+
+  // Quests
+  g.registerCommand({
+    verbs: ['quests'], category: 'Quests', usage: 'quests',
+    summary: 'List quests you have taken and their current objective.', whileDown: true,
+    handler: () => g.quests.list()
+  });
+  g.registerCommand({
+    verbs: ['journal'], aliases: ['log'], category: 'Quests', usage: 'journal [quest]', complete: ['quests'],
+    summary: 'Read your journal: objectives done and ahead.', whileDown: true,
+    handler: cmd => g.quests.journal(cmd.object)
+  });
+
+  // Learning & evolution
+  g.registerCommand({
+    verbs: ['learn'], aliases: ['study'], category: 'Learning/Money', usage: 'learn|study',
+    summary: 'Gain Ξ Insight from the stacks.',
+    handler: () => g.study()
+  });
+  g.registerCommand({
+    verbs: ['evolve'], category: 'Evolution', usage: 'evolve [stage]', complete: ['evolutions'],
+    summary: 'Consume items/Ξ to advance your stage; name the stage where your path forks.',
+    handler: cmd => g.tryEvolve(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['scry'], category: 'Evolution', usage: 'scry', unlock: 'scry',
+    summary: 'Sense what waits in the rooms beyond your open paths.',
+    handler: () => g.scry()
+  });
+
+  // Multiplayer
+  g.registerCommand({
+    verbs: ['who'], category: 'Multiplayer', usage: 'who', requires: ['aterna'], whileDown: true,
+    handler: () => g.cmdWho()
+  });
+  g.registerCommand({
+    verbs: ['say'], category: 'Multiplayer', usage: 'say <text>', whileDown: true,
+    handler: cmd => g.cmdSay(cmd.text)
+  });
+  g.registerCommand({
+    verbs: ['give'], aliases: ['hand'], category: 'Multiplayer', usage: 'give [n] <item> to <player>',
+    requires: ['aterna'], complete: ['inventory'],
+    summary: 'Offer items to someone here; they arrive once accepted.',
+    handler: cmd => g.exchange.give(cmd.object, cmd.target)
+  });
+  g.registerCommand({
+    verbs: ['accept'], category: 'Multiplayer', usage: 'accept [player]', complete: ['offers'],
+    handler: cmd => g.exchange.accept(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['decline'], aliases: ['refuse'], category: 'Multiplayer', usage: 'decline [player]', complete: ['offers'],
+    handler: cmd => g.exchange.decline(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['trade'], category: 'Multiplayer', usage: 'trade [<player> | add [n] <item|Ξ> | remove … | accept | cancel]',
+    requires: ['aterna'], complete: ['peers'],
+    summary: 'Trade items and Ξ with someone here; both accept, then the goods swap.',
+    handler: cmd => g.trading.command(cmd.text)
+  });
+  g.registerCommand({
+    verbs: ['offers'], category: 'Multiplayer', usage: 'offers',
+    summary: 'Gifts waiting for an answer, both ways.',
+    handler: () => g.exchange.list()
+  });
+
+  // Combat
+  g.registerCommand({
+    verbs: ['attack'], aliases: ['hit'], category: 'Combat', usage: 'attack <player>', complete: ['peers'],
+    summary: 'Strike someone here; the blow is rolled from both your stats.',
+    handler: cmd => g.combat.attack(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['illuminate'], category: 'Combat', usage: 'illuminate <player>', complete: ['peers'],
+    summary: 'A searing blow of truth (truth 0.4+).',
+    handler: cmd => g.combat.attack(cmd.object, 'illuminate')
+  });
+  g.registerCommand({
+    verbs: ['entangle'], category: 'Combat', usage: 'entangle <player>', complete: ['peers'],
+    summary: 'A blow that slips past most defence (quantum 0.3+).',
+    handler: cmd => g.combat.attack(cmd.object, 'entangle')
+  });
+  g.registerCommand({
+    verbs: ['eclipse'], category: 'Combat', usage: 'eclipse <player>', complete: ['peers'],
+    summary: 'A blow whose harm partly heals you (shadow 0.4+).',
+    handler: cmd => g.combat.attack(cmd.object, 'eclipse')
+  });
+  g.registerCommand({
+    verbs: ['defend'], aliases: ['guard', 'block'], category: 'Combat', usage: 'defend',
+    summary: 'Raise your guard: damage is halved for a few seconds.',
+    handler: () => g.combat.defend()
+  });
+  g.registerCommand({
+    verbs: ['flee'], aliases: ['run'], category: 'Combat', usage: 'flee',
+    summary: 'Try to break away from a fight through an open exit.',
+    handler: () => g.combat.flee()
+  });
+  g.registerCommand({
+    verbs: ['abilities'], aliases: ['skills'], category: 'Combat', usage: 'abilities',
+    summary: 'Your combat stats, abilities and cooldowns.', whileDown: true,
+    handler: () => g.combat.list()
+  });
+
+  // Recovery
+  g.registerCommand({
+    verbs: ['rest'], aliases: ['sleep'], category: 'Recovery', usage: 'rest',
+    summary: 'Recover HP out of danger (more in a sanctuary), once a minute.',
+    handler: () => g.vitality.rest()
+  });
+  g.registerCommand({
+    verbs: ['bind'], category: 'Recovery', usage: 'bind',
+    summary: 'In a sanctuary: wake here instead of the entrance when you fall.',
+    handler: () => g.vitality.bind()
+  });
+  g.registerCommand({
+    verbs: ['respawn'], aliases: ['revive'], category: 'Recovery', usage: 'respawn', whileDown: true,
+    summary: 'Get up after falling, at your bound room; costs some Ξ and truth.',
+    handler: () => g.vitality.respawn()
+  });
+
+  // Books
+  g.registerCommand({
+    verbs: ['books'], category: 'Books', usage: 'books',
+    handler: () => g.books.list()
+  });
+  g.registerCommand({
+    verbs: ['read'], aliases: ['open', 'book open'], category: 'Books', usage: 'read <book>', complete: ['books'],
+    handler: cmd => g.books.open(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['choose'], aliases: ['book choose'], category: 'Books', usage: 'choose <n|id>', requires: ['book'], complete: ['choices'],
+    handler: cmd => g.books.choose(cmd.object)
+  });
+  g.registerCommand({
+    verbs: ['ask'], aliases: ['book ask'], category: 'Books', usage: 'ask <question>', requires: ['book'],
+    handler: cmd => g.books.ask(cmd.text)
+  });
+  g.registerCommand({
+    verbs: ['draw'], aliases: ['book draw'], category: 'Books', usage: 'draw', requires: ['book'],
+    handler: () => g.books.draw()
+  });
+  g.registerCommand({
+    verbs: ['book close'], category: 'Books', usage: 'book close',
+    handler: () => g.books.close()
+  });
+  g.registerCommand({
+    verbs: ['book resume'], category: 'Books', usage: 'book resume',
+    handler: () => g.books.resume()
+  });
+  g.registerCommand({
+    verbs: ['book summary'], category: 'Books', usage: 'book summary',
+    handler: () => g.books.summary()
+  });
+  g.registerCommand({
+    verbs: ['book'], category: 'Books', usage: 'book', hidden: true,
+    handler: () => g.showHelp('book')
+  });
+
+  // Progress & saves
+  g.registerCommand({
+    verbs: ['progress'], category: 'Progress/Saves', usage: 'progress', whileDown: true,
+    handler: () => g.showProgress()
+  });
+  g.registerCommand({
+    verbs: ['save'], category: 'Progress/Saves', usage: 'save',
+    summary: 'Export your save as JSON.', whileDown: true,
+    handler: () => g.exportSave()
+  });
+  g.registerCommand({
+    verbs: ['load'], category: 'Progress/Saves', usage: 'load',
+    summary: 'Import a previously exported save.', whileDown: true,
+    handler: () => document.getElementById('import-file').click()
+  });
+  g.registerCommand({
+    verbs: ['reset'], category: 'Progress/Saves', usage: 'reset', whileDown: true,
+    handler: () => g.resetGameConfirm()
+  });
+  g.registerCommand({
+    verbs: ['redraw'], category: 'Progress/Saves', usage: 'redraw',
+    summary: 'Force-regenerate the room art.', whileDown: true,
+    handler: () => g.refreshRoomVisuals({ reDescribe: true, forceRegenerate: true })
+  });
+  g.registerCommand({
+    verbs: ['editor'], category: 'Progress/Saves', usage: 'editor [room id]', requires: ['dev'], complete: ['rooms'],
+    summary: 'Open the world editor on this room (dev mode).', hidden: !g.devMode,
+    handler: cmd => {
+      const id = cmd.object || g.state.currentRoom;
+      if (!g.roomTemplates[id]) { g.addOutput(`No room "${id}".`); return; }
+      g.editor.open(id);
+    }
+  });
+  g.registerCommand({
+    verbs: ['help'], aliases: ['?'], category: 'Progress/Saves', usage: 'help [command]', complete: ['commands'], whileDown: true,
+    handler: cmd => g.showHelp(cmd.text.trim().toLowerCase())
+  });
+}
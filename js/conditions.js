@@ -0,0 +1,242 @@
+// js/conditions.js
+// Declarative conditions shared by content (exits, descriptions, triggers, dialogue…).
+//
+// A condition is an object whose keys must ALL hold:
+//   truth | quantum | shadow | insight | hp : 0.6 (≥) or { min, max }
+//   has_item / lacks_item : 'id' or ['id', …]
+//   equipped              : 'id' or [...] (all equipped; see js/equipment.js)
+//   stage / archetype     : 'Adept' or ['Adept', 'Scholar'] (any of)
+//   visited               : 'room_id' or [...] (all visited)
+//   rooms_visited         : minimum number of distinct rooms visited
+//   books_completed       : minimum count, or 'book_id' / [...] (all finished)
+//   consumed              : minimum total consumables used, or { item_id: count }
+//   flag                  : 'name' or [...] (all set in the world state)
+//   room                  : 'room_id' or [...] (player is in one of them)
+//   visits                : times the current room has been entered: 2 (≥) or { min, max }
+//   phase                 : 'night' or [...] (the current room's phase: dawn, day, dusk, night)
+//   hour                  : the current room's hour, 0–23: 18 (≥) or { min, max }
+//   env                   : 'state' or [...] (environment states active in the current room)
+//   quest_active / quest_done : 'quest_id' or [...]
+//   defeated              : 'encounter_id' or [...] (all defeated at least once; see js/encounters.js)
+//   all / any             : [condition, …]
+//   not                   : condition
+
+const list = v => Array.isArray(v) ? v : [v];
+
+function inRange(value, spec) {
+  if (typeof spec === 'number') return value >= spec;
+  if (spec && typeof spec === 'object') {
+    if (typeof spec.min === 'number' && value < spec.min) return false;
+    if (typeof spec.max === 'number' && value > spec.max) return false;
+    return true;
+  }
+  return true;
+}
+
+function consumedMeets(g, val) {
+  const used = g.state.consumed || {};
+  if (typeof val === 'number') return Object.values(used).reduce((a, b) => a + b, 0) >= val;
+  if (!val || typeof val !== 'object') return true;
+  return Object.entries(val).every(([id, n]) => (used[id] || 0) >= n);
+}
+
+/**
+ * Numeric values conditions can compare against.
+ */
+export function statValues(g) {
+  const s = g.state;
+  return {
+    truth: s.truthDensity,
+    quantum: s.quantumState.coherence,
+    shadow: s.shadowIntegration,
+    insight: s.insight,
+    hp: s.hp
+  };
+}
+
+/**
+ * Evaluate a condition against the game. Missing/empty conditions pass;
+ * unknown keys are ignored so newer content degrades gracefully.
+ * @param {QuantumTruthMUD} g
+ * @param {object} cond
+ */
+export function meetsConditions(g, cond) {
+  if (!cond || typeof cond !== 'object') return true;
+  const stats = statValues(g);
+  const player = g.state.player || {};
+  for (const [key, val] of Object.entries(cond)) {
+    switch (key) {
+      case 'truth': case 'quantum': case 'shadow': case 'insight': case 'hp':
+        if (!inRange(stats[key], val)) return false;
+        break;
+      case 'has_item':
+        if (!list(val).every(id => g.hasItem(id))) return false;
+        break;
+      case 'lacks_item':
+        if (list(val).some(id => g.hasItem(id))) return false;
+        break;
+      case 'equipped':
+        if (!list(val).every(id => g.equipment?.isEquipped(id))) return false;
+        break;
+      case 'stage':
+        if (!list(val).includes(player.heroStage)) return false;
+        break;
+      case 'archetype':
+        if (!list(val).includes(player.archetype)) return false;
+        break;
+      case 'visited':
+        if (!list(val).every(id => g.state.visitedRooms.has(id))) return false;
+        break;
+      case 'rooms_visited':
+        if (g.state.visitedRooms.size < val) return false;
+        break;
+      case 'books_completed': {
+        const done = g.state.completedBooks || [];
+        if (typeof val === 'number' ? done.length < val : !list(val).every(id => done.includes(id))) return false;
+        break;
+      }
+      case 'consumed':
+        if (!consumedMeets(g, val)) return false;
+        break;
+      case 'flag':
+        if (!list(val).every(f => g.world.flag(f))) return false;
+        break;
+      case 'room':
+        if (!list(val).includes(g.state.currentRoom)) return false;
+        break;
+      case 'visits':
+        if (!inRange(g.state.visitCounts?.[g.state.currentRoom] || 0, val)) return false;
+        break;
+      case 'phase':
+        if (!g.env || !list(val).includes(g.env.room().phase)) return false;
+        break;
+      case 'hour':
+        if (!g.env || !inRange(g.env.room().hour, val)) return false;
+        break;
+      case 'env': {
+        const active = g.env?.room().states || [];
+        if (!list(val).every(id => active.includes(id))) return false;
+        break;
+      }
+      case 'quest_active':
+        if (!list(val).every(q => g.state.quests?.[q]?.status === 'active')) return false;
+        break;
+      case 'quest_done':
+        if (!list(val).every(q => g.state.quests?.[q]?.status === 'done')) return false;
+        break;
+      case 'defeated':
+        if (!list(val).every(id => g.state.defeated?.[id])) return false;
+        break;
+      case 'all':
+        if (!list(val).every(c => meetsConditions(g, c))) return false;
+        break;
+      case 'any':
+        if (!list(val).some(c => meetsConditions(g, c))) return false;
+        break;
+      case 'not':
+        if (meetsConditions(g, val)) return false;
+        break;
+      default:
+        break;
+    }
+  }
+  return true;
+}
+
+const STAT_LABELS = { truth: 'Truth', quantum: 'Quantum', shadow: 'Shadow', insight: 'Ξ', hp: 'HP' };
+
+function describeRange(key, spec) {
+  const fmt = v => key === 'insight' || key === 'hp' ? String(v) : `${Math.round(v * 100)}%`;
+  const label = STAT_LABELS[key];
+  if (typeof spec === 'number') return `${label}≥${fmt(spec)}`;
+  const parts = [];
+  if (typeof spec?.min === 'number') parts.push(`${label}≥${fmt(spec.min)}`);
+  if (typeof spec?.max === 'number') parts.push(`${label}≤${fmt(spec.max)}`);
+  return parts.join(', ');
+}
+
+/**
+ * Human-readable list of the parts of a condition that do not hold yet
+ * (for "Evolution requires: …"-style messages). Empty when the condition passes.
+ * @param {QuantumTruthMUD} g
+ * @param {object} cond
+ * @returns {string[]}
+ */
+export function describeUnmet(g, cond) {
+  if (!cond || typeof cond !== 'object') return [];
+  const name = id => g.items[id]?.name || id;
+  const room = id => g.roomTemplates[id]?.name || id;
+  const out = [];
+  for (const [key, val] of Object.entries(cond)) {
+    if (meetsConditions(g, { [key]: val })) continue;
+    switch (key) {
+      case 'truth': case 'quantum': case 'shadow': case 'insight': case 'hp':
+        out.push(describeRange(key, val));
+        break;
+      case 'has_item':
+        out.push(...list(val).filter(id => !g.hasItem(id)).map(name));
+        break;
+      case 'lacks_item':
+        out.push(...list(val).filter(id => g.hasItem(id)).map(id => `no ${name(id)}`));
+        break;
+      case 'equipped':
+        out.push(...list(val).filter(id => !g.equipment?.isEquipped(id)).map(id => `${name(id)} equipped`));
+        break;
+      case 'stage': case 'archetype':
+        out.push(`${key === 'stage' ? 'stage' : 'archetype'} ${list(val).join(' or ')}`);
+        break;
+      case 'visited':
+        out.push(...list(val).filter(id => !g.state.visitedRooms.has(id)).map(id => `visit ${room(id)}`));
+        break;
+      case 'rooms_visited':
+        out.push(`${val} rooms visited`);
+        break;
+      case 'books_completed':
+        if (typeof val === 'number') out.push(`${val} book${val === 1 ? '' : 's'} finished`);
+        else out.push(...list(val).filter(id => !(g.state.completedBooks || []).includes(id)).map(id => `finish ${name(id)}`));
+        break;
+      case 'consumed':
+        if (typeof val === 'number') out.push(`${val} consumables used`);
+        else out.push(...Object.entries(val).map(([id, n]) => `use ${name(id)} ×${n}`));
+        break;
+      case 'flag':
+        out.push(...list(val).filter(f => !g.world.flag(f)).map(f => `“${f}”`));
+        break;
+      case 'room':
+        out.push(`be in ${list(val).map(room).join(' or ')}`);
+        break;
+      case 'visits':
+        out.push(typeof val === 'number' ? `${val} visits here` : 'a different number of visits here');
+        break;
+      case 'phase':
+        out.push(`${list(val).join(' or ')}`);
+        break;
+      case 'hour':
+        out.push(typeof val === 'number' ? `after ${val}:00` : `between ${val.min ?? 0}:00 and ${val.max ?? 23}:59`);
+        break;
+      case 'env':
+        out.push(...list(val).map(id => `“${id}” here`));
+        break;
+      case 'quest_active': case 'quest_done': {
+        const quest = id => g.questTemplates?.[id]?.name || id;
+        out.push(...list(val).map(q => `${key === 'quest_done' ? 'complete' : 'be on'} “${quest(q)}”`));
+        break;
+      }
+      case 'defeated':
+        out.push(...list(val).map(id => `defeat ${g.encounterTemplates?.[id]?.name || id}`));
+        break;
+      case 'all':
+        out.push(...list(val).flatMap(c => describeUnmet(g, c)));
+        break;
+      case 'any':
+        out.push(`one of: ${list(val).map(c => describeUnmet(g, c).join(' + ') || '—').join(' / ')}`);
+        break;
+      case 'not':
+        out.push('a condition that must not hold');
+        break;
+      default:
+        break;
+    }
+  }
+  return out;
+}
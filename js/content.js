@@ -1,19 +1,359 @@
-// Default content + optional overrides (rooms.json, scenes.json). Items canonical here.
+// Default content + optional overrides (rooms.json, scenes.json, items.json, evolution.json, npcs.json,
+// quests.json, recipes.json, encounters.json)
+// and namespaced content packs listed in packs.json.
 
-export async function loadContent() {
+/**
+ * Load defaults, enabled packs from ./packs.json (in load order), then the
+ * root-level override files.
+ * @param {{ prefs?: Object<string, boolean> }} [opts] - per-pack enable overrides from the setup screen
+ */
+export async function loadContent({ prefs = {} } = {}) {
+  const packs = normalizeManifest(await fetchJSON('./packs.json'))
+    .map(p => ({ ...p, enabled: prefs[p.id] ?? p.enabled }));
+  const active = packs.filter(p => p.enabled);
+  const [datas, rooms, scenes, items, evolution, npcs, quests, recipes, encounters] = await Promise.all([
+    Promise.all(active.map(p => fetchJSON(p.url))),
+    fetchJSON('./rooms.json'), fetchJSON('./scenes.json'), fetchJSON('./items.json'),
+    fetchJSON('./evolution.json'), fetchJSON('./npcs.json'), fetchJSON('./quests.json'), fetchJSON('./recipes.json'),
+    fetchJSON('./encounters.json')
+  ]);
+  active.forEach((p, i) => { p.data = datas[i]; });
+  const content = buildContent({ packs: active, rooms, scenes, items, evolution, npcs, quests, recipes, encounters });
+  content.packs = packs.map(({ data, ...p }) => ({ ...p, loaded: p.enabled ? !!data : false }));
+  return content;
+}
+
+/**
+ * packs.json is either { "packs": [...] } or a bare array of
+ * { id, name, url, order, mode: 'merge'|'replace', namespace, enabled }.
+ */
+export function normalizeManifest(manifest) {
+  const list = Array.isArray(manifest) ? manifest : Array.isArray(manifest?.packs) ? manifest.packs : [];
+  return list
+    .filter(p => p && typeof p.url === 'string')
+    .map((p, i) => ({
+      id: String(p.id || p.namespace || p.url),
+      name: p.name || p.id || p.url,
+      url: p.url,
+      order: typeof p.order === 'number' ? p.order : i,
+      mode: p.mode === 'replace' ? 'replace' : 'merge',
+      namespace: p.namespace || null,
+      enabled: p.enabled !== false
+    }))
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Merge packs and override data onto fresh defaults. Shared by the browser loader and
+ * tools/validate-content.mjs so both see exactly the same world.
+ * @param {object} opts
+ * @param {Array<{ id, mode, namespace, data }>} [opts.packs] - enabled packs in load order
+ */
+export function buildContent({ packs = [], rooms = null, scenes = null, items = null, evolution = null, npcs = null, quests = null, recipes = null, encounters = null } = {}) {
   const defaults = {
     items: defaultItems(),
     rooms: defaultRooms(),
-    scenes: defaultScenes()
+    scenes: defaultScenes(),
+    evolution: defaultEvolution(),
+    npcs: defaultNpcs(),
+    quests: defaultQuests(),
+    recipes: defaultRecipes(),
+    encounters: defaultEncounters()
   };
-
-  const [rooms, scenes] = await Promise.all([fetchJSON('./rooms.json'), fetchJSON('./scenes.json')]);
+  for (const pack of packs) {
+    if (pack.data && typeof pack.data === 'object') applyPack(defaults, pack, pack.data);
+  }
   if (rooms && typeof rooms === 'object') Object.assign(defaults.rooms, rooms);
   if (Array.isArray(scenes)) defaults.scenes = scenes;
-
+  mergeItems(defaults.items, items);
+  mergeEvolution(defaults.evolution, evolution);
+  if (npcs && typeof npcs === 'object' && !Array.isArray(npcs)) Object.assign(defaults.npcs, npcs);
+  if (quests && typeof quests === 'object' && !Array.isArray(quests)) Object.assign(defaults.quests, quests);
+  if (recipes && typeof recipes === 'object' && !Array.isArray(recipes)) Object.assign(defaults.recipes, recipes);
+  if (encounters && typeof encounters === 'object' && !Array.isArray(encounters)) Object.assign(defaults.encounters, encounters);
   return defaults;
 }
 
+/**
+ * Merge evolution stages: a stage's paths merge by `id` (default: the target stage),
+ * so content can retune an existing path or add a new branch.
+ */
+function mergeEvolution(target, evolution) {
+  if (!evolution || typeof evolution !== 'object' || Array.isArray(evolution)) return;
+  for (const [stage, entry] of Object.entries(evolution)) {
+    if (!entry || typeof entry !== 'object') continue;
+    const paths = [...(target[stage]?.paths || [])];
+    for (const p of Array.isArray(entry.paths) ? entry.paths : []) {
+      const key = p?.id || p?.to;
+      const at = paths.findIndex(q => (q.id || q.to) === key);
+      if (at >= 0) paths[at] = p; else paths.push(p);
+    }
+    target[stage] = { ...target[stage], ...entry, paths };
+  }
+}
+
+function mergeItems(target, items) {
+  if (!items || typeof items !== 'object' || Array.isArray(items)) return;
+  for (const [id, it] of Object.entries(items)) {
+    if (it && typeof it === 'object') target[id] = { ...target[id], ...it, id };
+  }
+}
+
+// ---------- Packs ----------
+
+/**
+ * Apply one pack's { rooms, items, scenes } to the accumulated content.
+ * With a namespace, ids the pack defines become `ns:id`, and the pack's own
+ * references to them are rewritten; bare ids it does not define stay global
+ * (so `"exits": { "west": "entrance" }` still reaches the core Library);
+ * a leading colon (":entrance") forces the global id even when the pack defines its own.
+ * mode 'replace' swaps out each section the pack provides instead of merging.
+ */
+function applyPack(content, pack, data) {
+  const ns = pack.namespace;
+  const local = section => new Set(Object.keys(data[section] || {}));
+  const qualify = (id, known) => {
+    if (typeof id !== 'string') return id;
+    if (id.startsWith(':')) return id.slice(1); // explicit global id
+    return (!ns || id.includes(':') || !known.has(id)) ? id : `${ns}:${id}`;
+  };
+  const [rooms, items, npcs, quests, recipes, encounters] = ['rooms', 'items', 'npcs', 'quests', 'recipes', 'encounters'].map(local);
+  const ids = {
+    room:   id => qualify(id, rooms),
+    item:   id => qualify(id, items),
+    npc:    id => qualify(id, npcs),
+    quest:  id => qualify(id, quests),
+    recipe: id => qualify(id, recipes),
+    encounter: id => qualify(id, encounters)
+  };
+  const { room, item } = ids;
+
+  const replace = pack.mode === 'replace';
+
+  if (data.items && typeof data.items === 'object') {
+    const next = {};
+    for (const [id, it] of Object.entries(data.items)) {
+      if (!it || typeof it !== 'object') continue;
+      const qid = item(id);
+      next[qid] = { ...it, id: qid };
+      if (it.effects) next[qid].effects = qualifyEffects(it.effects, ids);
+      if (Array.isArray(it.triggers)) next[qid].triggers = it.triggers.map(t => qualifyTrigger(t, ids));
+      if (it.teaches) next[qid].teaches = [].concat(it.teaches).map(ids.recipe);
+    }
+    if (replace) content.items = {};
+    mergeItems(content.items, next);
+  }
+
+  if (data.rooms && typeof data.rooms === 'object') {
+    if (replace) content.rooms = {};
+    for (const [id, r] of Object.entries(data.rooms)) {
+      if (!r || typeof r !== 'object') continue;
+      content.rooms[room(id)] = qualifyRoom(r, ids);
+    }
+  }
+
+  if (Array.isArray(data.scenes)) {
+    const scenes = data.scenes.map(sc => sc && Array.isArray(sc.choices)
+      ? { ...sc, choices: sc.choices.map(c => c?.effects ? { ...c, effects: qualifyEffects(c.effects, ids) } : c) }
+      : sc);
+    content.scenes = replace ? scenes : [...content.scenes, ...scenes];
+  }
+
+  if (data.npcs && typeof data.npcs === 'object') {
+    if (replace) content.npcs = {};
+    for (const [id, n] of Object.entries(data.npcs)) {
+      if (!n || typeof n !== 'object') continue;
+      content.npcs[ids.npc(id)] = qualifyNpc(n, ids);
+    }
+  }
+
+  if (data.quests && typeof data.quests === 'object') {
+    if (replace) content.quests = {};
+    for (const [id, q] of Object.entries(data.quests)) {
+      if (!q || typeof q !== 'object') continue;
+      content.quests[ids.quest(id)] = qualifyQuest(q, ids);
+    }
+  }
+
+  if (data.recipes && typeof data.recipes === 'object') {
+    if (replace) content.recipes = {};
+    for (const [id, r] of Object.entries(data.recipes)) {
+      if (!r || typeof r !== 'object') continue;
+      content.recipes[ids.recipe(id)] = qualifyRecipe(r, ids);
+    }
+  }
+
+  if (data.encounters && typeof data.encounters === 'object') {
+    if (replace) content.encounters = {};
+    for (const [id, e] of Object.entries(data.encounters)) {
+      if (!e || typeof e !== 'object') continue;
+      content.encounters[ids.encounter(id)] = qualifyEncounter(e, ids);
+    }
+  }
+
+  // Stage names are shared across packs; only the room/item ids inside are qualified
+  if (data.evolution && typeof data.evolution === 'object') {
+    if (replace) content.evolution = {};
+    const next = {};
+    for (const [stage, entry] of Object.entries(data.evolution)) {
+      if (!entry || typeof entry !== 'object') continue;
+      next[stage] = {
+        ...entry,
+        paths: (Array.isArray(entry.paths) ? entry.paths : []).map(p => qualifyPath(p, ids))
+      };
+    }
+    mergeEvolution(content.evolution, next);
+  }
+}
+
+function qualifyPath(p, ids) {
+  if (!p || typeof p !== 'object') return p;
+  const out = { ...p };
+  if (p.requires) out.requires = qualifyCondition(p.requires, ids);
+  if (p.cost?.items) out.cost = { ...p.cost, items: [].concat(p.cost.items).map(ids.item) };
+  if (p.rewards?.effects) out.rewards = { ...p.rewards, effects: qualifyEffects(p.rewards.effects, ids) };
+  return out;
+}
+
+function qualifyRoom(r, ids) {
+  const out = { ...r };
+  if (r.exits && typeof r.exits === 'object') {
+    out.exits = {};
+    for (const [dir, ex] of Object.entries(r.exits)) {
+      if (!ex || typeof ex !== 'object') { out.exits[dir] = typeof ex === 'string' ? ids.room(ex) : ex; continue; }
+      const q = { ...ex, to: ids.room(ex.to) };
+      if (ex.key) q.key = ids.item(ex.key);
+      if (ex.when) q.when = qualifyCondition(ex.when, ids);
+      if (ex.reveal) q.reveal = qualifyCondition(ex.reveal, ids);
+      out.exits[dir] = q;
+    }
+  }
+  if (Array.isArray(r.items)) out.items = r.items.map(ids.item);
+  if (Array.isArray(r.triggers)) out.triggers = r.triggers.map(t => qualifyTrigger(t, ids));
+  if (Array.isArray(r.descriptionVariants)) {
+    out.descriptionVariants = r.descriptionVariants.map(v =>
+      v && v.when ? { ...v, when: qualifyCondition(v.when, ids) } : v);
+  }
+  if (r.vendor && Array.isArray(r.vendor.goods)) {
+    out.vendor = { ...r.vendor, goods: r.vendor.goods.map(g => ({ ...g, item: ids.item(g?.item) })) };
+  }
+  return out;
+}
+
+function qualifyNpc(n, ids) {
+  const out = { ...n };
+  if (n.room) out.room = Array.isArray(n.room) ? n.room.map(ids.room) : ids.room(n.room);
+  if (n.when) out.when = qualifyCondition(n.when, ids);
+  const d = n.dialogue;
+  if (d && typeof d === 'object') {
+    out.dialogue = { ...d, nodes: {} };
+    if (Array.isArray(d.start)) out.dialogue.start = d.start.map(s => s?.when ? { ...s, when: qualifyCondition(s.when, ids) } : s);
+    for (const [key, node] of Object.entries(d.nodes || {})) {
+      out.dialogue.nodes[key] = node && Array.isArray(node.choices)
+        ? { ...node, choices: node.choices.map(c => qualifyTrigger(c, ids)) }
+        : node;
+    }
+  }
+  return out;
+}
+
+function qualifyQuest(q, ids) {
+  const map = (v, fn) => Array.isArray(v) ? v.map(fn) : fn(v);
+  const out = { ...q };
+  if (q.when) out.when = qualifyCondition(q.when, ids);
+  if (Array.isArray(q.steps)) {
+    out.steps = q.steps.map(st => {
+      if (!st || typeof st !== 'object') return st;
+      const o = { ...st };
+      if (st.visit) o.visit = map(st.visit, ids.room);
+      if (st.obtain) o.obtain = map(st.obtain, ids.item);
+      if (st.talk) o.talk = ids.npc(st.talk);
+      if (st.finish_book && st.finish_book !== true) o.finish_book = map(st.finish_book, ids.item);
+      if (st.when) o.when = qualifyCondition(st.when, ids);
+      return o;
+    });
+  }
+  if (q.rewards) out.rewards = qualifyTrigger(q.rewards, ids);
+  return out;
+}
+
+function qualifyRecipe(r, ids) {
+  const map = (v, fn) => Array.isArray(v) ? v.map(fn) : fn(v);
+  const out = { ...r };
+  if (r.inputs) out.inputs = map(r.inputs, ids.item);
+  if (r.output) out.output = typeof r.output === 'string' ? ids.item(r.output) : { ...r.output, item: ids.item(r.output.item) };
+  if (r.room) out.room = map(r.room, ids.room);
+  if (r.requires) out.requires = qualifyCondition(r.requires, ids);
+  if (r.effects) out.effects = qualifyEffects(r.effects, ids);
+  if (r.failure && typeof r.failure === 'object') {
+    const f = { ...r.failure };
+    if (f.when) f.when = qualifyCondition(f.when, ids);
+    if (f.effects) f.effects = qualifyEffects(f.effects, ids);
+    if (f.lose && f.lose !== 'all') f.lose = map(f.lose, ids.item);
+    out.failure = f;
+  }
+  return out;
+}
+
+function qualifyEncounter(e, ids) {
+  const map = (v, fn) => Array.isArray(v) ? v.map(fn) : fn(v);
+  const out = { ...e };
+  if (e.rooms) out.rooms = map(e.rooms, ids.room);
+  if (e.when) out.when = qualifyCondition(e.when, ids);
+  if (Array.isArray(e.loot)) out.loot = e.loot.map(l => (l && typeof l === 'object' ? { ...l, item: ids.item(l.item) } : l));
+  if (e.rewards) out.rewards = qualifyTrigger(e.rewards, ids);
+  return out;
+}
+
+function qualifyTrigger(t, ids) {
+  if (!t || typeof t !== 'object') return t;
+  const map = (v, fn) => Array.isArray(v) ? v.map(fn) : fn(v);
+  const out = { ...t };
+  if (t.item) out.item = ids.item(t.item);
+  if (t.when) out.when = qualifyCondition(t.when, ids);
+  if (t.effects) out.effects = qualifyEffects(t.effects, ids);
+  if (t.give_item) out.give_item = map(t.give_item, ids.item);
+  if (t.take_item) out.take_item = map(t.take_item, ids.item);
+  if (t.move) out.move = ids.room(t.move);
+  if (t.start_quest) out.start_quest = map(t.start_quest, ids.quest);
+  if (t.reveal) out.reveal = map(t.reveal, r => r && typeof r === 'object' ? { ...r, room: r.room && ids.room(r.room) } : r);
+  return out;
+}
+
+function qualifyCondition(cond, ids) {
+  if (!cond || typeof cond !== 'object') return cond;
+  const map = (v, fn) => Array.isArray(v) ? v.map(fn) : fn(v);
+  const out = { ...cond };
+  if (cond.has_item) out.has_item = map(cond.has_item, ids.item);
+  if (cond.lacks_item) out.lacks_item = map(cond.lacks_item, ids.item);
+  if (cond.equipped) out.equipped = map(cond.equipped, ids.item);
+  if (cond.visited) out.visited = map(cond.visited, ids.room);
+  if (cond.room) out.room = map(cond.room, ids.room);
+  if (cond.books_completed && typeof cond.books_completed !== 'number') out.books_completed = map(cond.books_completed, ids.item);
+  if (cond.consumed && typeof cond.consumed === 'object') {
+    out.consumed = Object.fromEntries(Object.entries(cond.consumed).map(([id, n]) => [ids.item(id), n]));
+  }
+  for (const k of ['all', 'any']) {
+    if (Array.isArray(cond[k])) out[k] = cond[k].map(c => qualifyCondition(c, ids));
+  }
+  for (const k of ['quest_active', 'quest_done']) {
+    if (cond[k]) out[k] = map(cond[k], ids.quest);
+  }
+  if (cond.defeated) out.defeated = map(cond.defeated, ids.encounter);
+  if (cond.not) out.not = qualifyCondition(cond.not, ids);
+  return out;
+}
+
+function qualifyEffects(effects, ids) {
+  if (!effects || typeof effects !== 'object') return effects;
+  const out = { ...effects };
+  for (const k of ['give_item', 'take_item']) {
+    if (out[k]) out[k] = Array.isArray(out[k]) ? out[k].map(ids.item) : ids.item(out[k]);
+  }
+  if (out.learn_recipe) out.learn_recipe = Array.isArray(out.learn_recipe) ? out.learn_recipe.map(ids.recipe) : ids.recipe(out.learn_recipe);
+  return out;
+}
+
 async function fetchJSON(path) {
   try {
     const r = await fetch(path, { cache: 'no-cache' });
@@ -25,20 +365,37 @@ async function fetchJSON(path) {
 // ---------- Items ----------
 function defaultItems() {
   return {
-    // Evolution items
-    mirror_shard:   { id:'mirror_shard',   name:'Mirror Shard',    type:'evolution',  price: 25, desc:'A sliver of possibility that reflects who you might be.' },
-    quantum_key:    { id:'quantum_key',    name:'Quantum Key',     type:'evolution',  price: 40, desc:'Unlocks doors that exist and don’t.' },
-    shadow_lantern: { id:'shadow_lantern', name:'Shadow Lantern',  type:'evolution',  price: 55, desc:'Makes shadows legible.' },
-    glyph_memory:   { id:'glyph_memory',   name:'Glyph of Memory', type:'evolution',  price: 70, desc:'A sigil that fixes what fades.' },
-
-    // Consumables
-    tea_clarity:    { id:'tea_clarity',    name:'Tea of Clarity',  type:'consumable', price: 10, desc:'+Truth' },
-    cat_paradox:    { id:'cat_paradox',    name:"Cat's Paradox",   type:'consumable', price: 12, desc:'+Quantum' },
-    ink_of_nyx:     { id:'ink_of_nyx',     name:'Ink of Nyx',      type:'consumable', price: 12, desc:'+Shadow integration' },
-    folio_notes:    { id:'folio_notes',    name:'Folio of Notes',  type:'consumable', price: 8,  desc:'+Insight' },
+    // Evolution items (slot + modifiers: see js/equipment.js)
+    mirror_shard:   { id:'mirror_shard',   name:'Mirror Shard',    type:'evolution',  price: 25, desc:'A sliver of possibility that reflects who you might be.',
+                      slot:'focus', modifiers:{ quantum: 0.25 }, equip_text:'You keep the shard at the edge of your sight. Possibilities crowd it.' },
+    quantum_key:    { id:'quantum_key',    name:'Quantum Key',     type:'evolution',  price: 40, desc:'Unlocks doors that exist and don’t.', unique: true },
+    shadow_lantern: { id:'shadow_lantern', name:'Shadow Lantern',  type:'evolution',  price: 55, desc:'Makes shadows legible.',
+                      slot:'hand', modifiers:{ shadow: 0.5, truth: -0.25 }, equip_text:'You raise the lantern. Its dark light makes every shadow a page.' },
+    glyph_memory:   { id:'glyph_memory',   name:'Glyph of Memory', type:'evolution',  price: 70, desc:'A sigil that fixes what fades.', unique: true,
+                      slot:'neck', modifiers:{ study: 0.5, insight: 0.2 }, equip_text:'The glyph settles at your throat. What you learn now, you keep.',
+                      triggers:[ { id:'vault_recall', on:'use', once:true, when:{ room:'vault_of_names' },
+                                   say:'The glyph remembers a name the vault had forgotten, and the shelves hum it back to you.',
+                                   effects:{ truth: 0.05 } } ] },
+
+    // Consumables (effects use the shared DSL in effects.js)
+    tea_clarity:    { id:'tea_clarity',    name:'Tea of Clarity',  type:'consumable', price: 10, desc:'+Truth, +HP',
+                      effects:{ truth: 0.08, hp: 10 },   use_text:'Warmth clears the noise.' },
+    cat_paradox:    { id:'cat_paradox',    name:"Cat's Paradox",   type:'consumable', price: 12, desc:'+Quantum',
+                      effects:{ quantum: 0.10 }, use_text:'A purr, and all states purr with it.' },
+    ink_of_nyx:     { id:'ink_of_nyx',     name:'Ink of Nyx',      type:'consumable', price: 12, desc:'+Shadow integration',
+                      effects:{ shadow: 0.10 },  use_text:'Night gathers in the nib, drawing your shadow nearer.' },
+    folio_notes:    { id:'folio_notes',    name:'Folio of Notes',  type:'consumable', price: 8,  desc:'+Insight',
+                      effects:{ insight: 8 },    use_text:'You annotate the margins with yourself.' },
+
+    // Crafted (see defaultRecipes)
+    shadow_annotation: { id:'shadow_annotation', name:'Shadow Annotation', type:'consumable', price: 30, desc:'+Shadow integration, +Insight',
+                      effects:{ shadow: 0.15, insight: 12 }, use_text:'You read the notes your shadow left in your margins.' },
+    steeped_paradox: { id:'steeped_paradox',  name:'Steeped Paradox',   type:'consumable', price: 28, desc:'+Truth, +Quantum',
+                      effects:{ truth: 0.06, quantum: 0.08 }, use_text:'It is both too hot and already cold. You drink it anyway.' },
 
     // Books
-    codex_paths:    { id:'codex_paths',     name:'Codex of Forking Paths', type:'book', price: 30, desc:'A living labyrinth on paper. Opens new routes.' },
+    codex_paths:    { id:'codex_paths',     name:'Codex of Forking Paths', type:'book', price: 30, desc:'A living labyrinth on paper. Opens new routes.',
+                      teaches:['shadow_annotation'] },
     mirror_grimoire:{ id:'mirror_grimoire', name:'Mirror Grimoire',       type:'book', price: 45, desc:'Spells that rearrange what the page believes.' }
   };
 }
@@ -48,7 +405,14 @@ function defaultRooms() {
   return {
     entrance: {
       name: 'The Library Entrance',
+      sanctuary: true,
       basePrompt: 'A vast library entrance with quantum properties, doors that exist in superposition',
+      description: "The Library entrance thrums with potential. Doors exist and don't exist simultaneously.",
+      descriptionVariants: [
+        { when: { truth: 0.7 }, text: 'The doors steady as you look at them, choosing to be real for you.' },
+        { when: { quantum: { max: 0.3 } }, text: 'The doorframes flicker badly, unsure which of them you meant.' },
+        { when: { phase: 'night' }, text: 'At night the doors stop pretending: most of them open onto other nights.' }
+      ],
       exits: { north: 'hall_of_mirrors', east: 'garden_of_forking_paths', west: 'shadow_archive' },
       literary: 'borges',
       items: ['mirror_shard', 'codex_paths']
@@ -56,13 +420,38 @@ function defaultRooms() {
     hall_of_mirrors: {
       name: 'The Hall of Mirrors',
       basePrompt: 'An infinite hall of mirrors showing different versions of reality, Alice in Wonderland style',
+      description: 'Infinite reflections cascade through impossible geometries. Each shows a different you.',
+      descriptionVariants: [
+        { when: { shadow: 0.6 }, text: 'Some reflections nod at you; they no longer pretend to be strangers.' },
+        { when: { shadow: { max: 0.2 } }, text: 'One reflection keeps its back to you, no matter where you stand.' },
+        { when: { equipped: 'mirror_shard' }, text: 'Through the shard, the reflections disagree about which of them is you, and each makes a good case.' }
+      ],
       exits: { south: 'entrance', north: 'quantum_laboratory', east: 'tea_room' },
       literary: 'carroll',
-      items: []
+      items: [],
+      environment: {
+        states: {
+          fogged: { phase: ['dawn', 'night'], chance: 0.6, label: 'fogged mirrors',
+                    text: 'The mirrors are fogged; the reflections are soft, unwilling to commit to a face.',
+                    start: 'A breath nobody took fogs every mirror at once.',
+                    end: 'The fog lifts from the mirrors. Everyone in them is still here.' }
+        }
+      },
+      triggers: [
+        { id: 'fog_writing', on: 'env', once: true, when: { env: 'fogged', shadow: 0.4 },
+          say: 'A finger writes in the fog from the other side of the glass: NOT EVERY STAIR IS LIT.', flag: 'fog_message' },
+        { id: 'lingering_reflection', on: 'look', once: true, when: { visits: 3, lacks_item: 'mirror_shard' },
+          say: 'One reflection lingers after you turn away. It presses a sliver of itself into your palm.',
+          give_item: 'mirror_shard' }
+      ]
     },
     garden_of_forking_paths: {
       name: 'The Garden of Forking Paths',
       basePrompt: 'A garden where every path branches into infinite possibilities, Borges-inspired labyrinth',
+      description: 'Every step creates new timelines. You see yourself walking paths not taken.',
+      descriptionVariants: [
+        { when: { quantum: 0.7 }, text: 'The forks hold still long enough for you to choose; the garden trusts your coherence.' }
+      ],
       exits: { west: 'entrance', north: 'tea_room', east: 'oracle_chamber' },
       literary: 'borges',
       items: ['folio_notes']
@@ -70,46 +459,134 @@ function defaultRooms() {
     shadow_archive: {
       name: 'The Shadow Archive',
       basePrompt: 'A dark library containing shadow selves and repressed memories, Jungian psychology',
-      exits: { east: 'entrance', north: 'abyss_reading_room' },
+      description: 'Your shadow moves independently here, browsing shelves of fears and forgotten dreams.',
+      descriptionVariants: [
+        { when: { shadow: { max: 0.3 } }, text: 'It will not meet your eyes, and the shelves it favours stay dark.' },
+        { when: { shadow: 0.7 }, text: 'It pauses to hand you a volume, as an old colleague might.' },
+        { when: { has_item: 'shadow_lantern' }, text: 'Lantern light picks out a stair descending north.' },
+        { when: { equipped: 'shadow_lantern' }, text: 'Held high, the lantern makes the spines legible: every title is something you once decided not to feel.' }
+      ],
+      exits: {
+        east: 'entrance',
+        // Only legible by lantern light; once walked, the way stays remembered
+        north: {
+          to: 'abyss_reading_room',
+          reveal: { any: [{ has_item: 'shadow_lantern' }, { visited: 'abyss_reading_room' }] }
+        }
+      },
       literary: 'jung',
-      items: ['shadow_lantern', 'mirror_grimoire']
+      items: ['shadow_lantern', 'mirror_grimoire'],
+      triggers: [
+        { on: 'enter', effects: { shadow: 0.02 } },
+        { id: 'lantern_lit', on: 'take', item: 'shadow_lantern', once: true,
+          say: 'The lantern catches as it leaves its hook. North of you, a stair you had not seen is suddenly obvious.' }
+      ]
     },
     tea_room: {
       name: 'The Mad Tea Room',
       basePrompt: "A perpetual tea party frozen in time, Mad Hatter's tea party from Alice in Wonderland",
+      description: "Time stopped at 6 o'clock. Empty chairs wait for aspects of yourself.",
+      environment: { hour: 18 },
+      sanctuary: true,
+      descriptionVariants: [
+        { when: { stage: ['Adept', 'Scholar', 'Oracle'] }, text: 'One chair has your name chalked on it, and the tea is still warm.' }
+      ],
       exits: { south: 'garden_of_forking_paths', west: 'hall_of_mirrors' },
       literary: 'carroll',
       items: [],
       vendor: {
         name: 'The Scribe',
         goods: [
-          { item: 'tea_clarity',    price: 10 },
-          { item: 'cat_paradox',    price: 12 },
-          { item: 'ink_of_nyx',     price: 12 },
+          { item: 'tea_clarity',    price: 10, stock: 8, restock: 120 },
+          { item: 'cat_paradox',    price: 12, stock: 5, restock: 240 },
+          { item: 'ink_of_nyx',     price: 12, stock: 4, restock: 300 },
           { item: 'folio_notes',    price: 8  },
-          { item: 'codex_paths',    price: 30 },
-          { item: 'mirror_grimoire',price: 45 }
+          { item: 'codex_paths',    price: 30, stock: 2, restock: 900 },
+          { item: 'mirror_grimoire',price: 45, stock: 1, restock: 1800 }
         ],
-        sellbackRate: 0.5
+        sellbackRate: 0.5,
+        elasticity: 0.06,
+        memory: 900
       }
     },
     quantum_laboratory: {
       name: 'The Quantum Laboratory',
       basePrompt: "A laboratory where Schrödinger's cat exists in superposition, quantum physics made visible",
+      description: 'Reality equations float mid-air. A cat prowls between existence and void.',
+      descriptionVariants: [
+        { when: { truth: 0.7 }, text: 'The equations balance when you read them. The cat decides, briefly, to be alive.' },
+        { when: { truth: { max: 0.3 } }, text: 'The chalk keeps rewriting itself whenever you look away.' }
+      ],
       exits: { south: 'hall_of_mirrors', east: 'oracle_chamber' },
       literary: 'science',
-      items: ['quantum_key']
+      items: ['quantum_key'],
+      triggers: [
+        { on: 'enter', effects: { quantum: 0.05 } }
+      ]
     },
     oracle_chamber: {
       name: 'The Oracle Chamber',
       basePrompt: 'Ancient temple meets quantum uncertainty, Oracle speaks in superpositions, Eastern philosophy',
-      exits: { west: 'garden_of_forking_paths', north: 'quantum_laboratory' },
+      description: 'Ancient wisdom merges with quantum uncertainty. All answers are true until observed.',
+      descriptionVariants: [
+        { when: { stage: ['Scholar', 'Oracle'] }, text: 'The Oracle’s seat is empty. It has been waiting for you to notice.' }
+      ],
+      exits: {
+        west: 'garden_of_forking_paths',
+        north: 'quantum_laboratory',
+        east: {
+          to: 'vault_of_names',
+          key: 'quantum_key',
+          message: 'A door that both is and isn’t blocks the east. Its lock has no keyhole you can see.'
+        },
+        // Granted by the Archivist evolution (reward flag)
+        up: { to: 'astral_index', reveal: { flag: 'astral_sight' } }
+      },
       literary: 'eastern',
       items: ['glyph_memory']
     },
+    vault_of_names: {
+      name: 'The Vault of Names',
+      basePrompt: 'An obsidian vault where true names vibrate as strings of light; each syllable folds space',
+      description: 'True names hum along obsidian shelves. One of them is almost yours.',
+      descriptionVariants: [
+        { when: { truth: 0.8 }, text: 'Your own name resolves in the light, every syllable in place.' }
+      ],
+      exits: { west: 'oracle_chamber' },
+      literary: 'myth',
+      items: [],
+      triggers: [
+        { id: 'first_name', on: 'enter', once: true,
+          say: 'A syllable detaches from the shelves and settles on your tongue.', effects: { insight: 5 } }
+      ]
+    },
+    astral_index: {
+      name: 'The Astral Index',
+      basePrompt: 'A catalogue of stars above the Oracle Chamber, each constellation a card in an infinite index',
+      description: 'Constellations file themselves into drawers of night. Every card is a life the Library has read.',
+      descriptionVariants: [
+        { when: { flag: 'astral_sight' }, text: 'Your own card glows among them, its final line still blank.' }
+      ],
+      environment: {
+        states: {
+          starlit: { phase: 'night', label: 'open sky', text: 'The ceiling has gone entirely to sky; new cards drift down from it.',
+                     start: 'The ceiling thins to stars. The Index begins filing the night.',
+                     end: 'Daylight closes the ceiling like a drawer.' }
+        }
+      },
+      exits: { down: 'oracle_chamber' },
+      literary: 'borges',
+      items: []
+    },
     abyss_reading_room: {
       name: 'The Abyss Reading Room',
       basePrompt: 'A void library where unwritten books exist, Nietzschean abyss that gazes back',
+      description: 'Books of unwritten stories line the walls. The void reads you as you read it.',
+      descriptionVariants: [
+        { when: { shadow: 0.8 }, text: 'The void turns a page for you, and you find you are not afraid of it.' },
+        { when: { hp: { max: 30 } }, text: 'The dark leans closer while you are weak.' },
+        { when: { equipped: 'shadow_lantern' }, text: 'In the lantern’s light the blank books show faint ink: the first lines of the stories you have not lived yet.' }
+      ],
       exits: { south: 'shadow_archive' },
       literary: 'philosophy',
       items: []
@@ -117,36 +594,270 @@ function defaultRooms() {
   };
 }
 
+// ---------- Evolution ----------
+// Stage → paths onward (see js/evolution.js). Paths may be limited to archetypes
+// (Warrior, Sage, Mystic, Guardian); when several are ready, the player picks with `evolve <stage>`.
+function defaultEvolution() {
+  return {
+    Threshold: { paths: [
+      { to: 'Initiate', cost: { insight: 10, items: ['mirror_shard'] }, rewards: { effects: { truth: 0.05 } } }
+    ] },
+    Initiate: { paths: [
+      { to: 'Adept', requires: { truth: 0.6 }, cost: { insight: 25, items: ['quantum_key'] }, rewards: { effects: { quantum: 0.05 } } }
+    ] },
+    Adept: { paths: [
+      { to: 'Scholar', label: 'the reading path',
+        requires: { shadow: 0.6, books_completed: 1 }, cost: { insight: 40, items: ['shadow_lantern'] },
+        rewards: { effects: { shadow: 0.05 } } },
+      { to: 'Warden', label: 'the guarding path', archetype: ['Warrior', 'Guardian'],
+        requires: { shadow: 0.6, visited: 'abyss_reading_room' }, cost: { insight: 40, items: ['shadow_lantern'] },
+        rewards: { effects: { shadow: 0.05, hp: 20 }, flags: ['warden_oath'],
+                   text: 'You take the oath of those who stand at the edge so others may read.' } }
+    ] },
+    Scholar: { paths: [
+      { to: 'Oracle', requires: { quantum: 0.7 }, cost: { insight: 80, items: ['glyph_memory'] },
+        rewards: { effects: { truth: 0.05, quantum: 0.05 }, unlock_commands: ['scry'] } }
+    ] },
+    Warden: { paths: [
+      { to: 'Oracle', requires: { truth: 0.7, consumed: 3 }, cost: { insight: 80, items: ['glyph_memory'] },
+        rewards: { effects: { truth: 0.05, quantum: 0.05 }, unlock_commands: ['scry'] } }
+    ] },
+    Oracle: { paths: [
+      { to: 'Archivist', requires: { visited: 'vault_of_names', books_completed: 2, rooms_visited: 8 }, cost: { insight: 120 },
+        rewards: { flags: ['astral_sight'],
+                   text: 'Above the Oracle Chamber a stair of starlight unfolds. The Library asks you to keep its index.' } }
+    ] },
+    Archivist: { paths: [] }
+  };
+}
+
+// ---------- NPCs ----------
+// See js/npcs.js. Dialogue choices take the same actions as triggers (say, effects, give_item, flag…).
+function defaultNpcs() {
+  return {
+    oracle: {
+      name: 'The Oracle', room: 'oracle_chamber', aliases: ['seer'],
+      desc: 'A figure seated in lotus, eyes closed, answering questions a moment before they are asked.',
+      persona: 'Serene, riddling, kind. Speaks in paired opposites and never gives a plain yes or no.',
+      facts: [
+        'The Vault of Names lies east, behind a door only the Quantum Key opens.',
+        'The Quantum Key waits in the Quantum Laboratory, north of here.',
+        'Evolution asks for Ξ Insight and an object that carries the seeker’s intent.'
+      ],
+      dialogue: {
+        start: [{ when: { flag: 'oracle_blessing' }, node: 'again' }, { node: 'greet' }],
+        nodes: {
+          greet: { text: 'You have come to ask. You have also already left with the answer. Which of you speaks?', choices: [
+            { text: 'The one who asks. What lies east?', next: 'east' },
+            { text: 'The one who leaves. Bless my road.', next: 'blessing' },
+            { text: 'Neither. I only listen.', say: 'The silence between you becomes a kind of lesson.', effects: { insight: 3 }, once: true }
+          ] },
+          east: { text: 'A vault of names, sealed by a key that is and is not. It rests among the equations to the north.', choices: [
+            { text: 'And what is my name there?', next: 'blessing' },
+            { text: 'Thank you.' }
+          ] },
+          blessing: { text: 'Then take this: the road is real when you walk it, and not before.', choices: [
+            { text: 'Accept the blessing', effects: { truth: 0.05, insight: 5 }, flag: 'oracle_blessing', start_quest: 'road_made_real' }
+          ] },
+          again: { text: 'You return, and so you never left. Ask, and I will answer sideways.', choices: [
+            { text: 'What lies east?', next: 'east' },
+            { text: 'Nothing today.' }
+          ] }
+        }
+      }
+    },
+    mad_hatter: {
+      name: 'The Mad Hatter', room: 'tea_room', aliases: ['hatter'],
+      desc: 'A man in a hat too tall for the ceiling, pouring tea that never reaches the cup.',
+      persona: 'Manic, punning, furious about time. Answers questions with better questions.',
+      facts: [
+        'It is always six o’clock here; Time stopped after a quarrel.',
+        'The Scribe at the next table sells teas and books for Ξ Insight.',
+        'Tea of Clarity sharpens Truth.'
+      ],
+      dialogue: {
+        start: 'greet',
+        nodes: {
+          greet: { text: 'No room! No room! Unless you brought a riddle. Why is a raven like a writing-desk?', choices: [
+            { text: 'Because both produce a few notes, though they are very flat.', next: 'pleased' },
+            { text: 'I haven’t the faintest idea.', next: 'same' },
+            { text: 'Is it six o’clock again?', say: 'It was never anything else.' }
+          ] },
+          pleased: { text: 'An answer! Dreadful. Have a cup before it goes cold, which it cannot.', choices: [
+            { text: 'Take the cup', give_item: 'tea_clarity', once: true, say: 'The Hatter presses a steaming cup into your hands. “Steep a paradox in it sometime. Here, at the table — nowhere else holds still long enough.”',
+              effects: { learn_recipe: 'steeped_paradox' } },
+            { text: 'Decline politely' }
+          ] },
+          same: { text: 'Nor have I! Splendid. We shall not know it together.', choices: [
+            { text: 'Move down one seat', effects: { quantum: 0.03 } }
+          ] }
+        }
+      }
+    },
+    shadow_self: {
+      name: 'Your Shadow', room: ['shadow_archive', 'abyss_reading_room'], when: { shadow: 0.3 },
+      aliases: ['shadow'],
+      desc: 'It has your outline and none of your hesitation.',
+      persona: 'The player’s own shadow: blunt, intimate, teasing; names what the player avoids.',
+      facts: [
+        'It moves independently in the Shadow Archive.',
+        'The Shadow Lantern makes the stair to the Abyss Reading Room legible.',
+        'Ink of Nyx draws shadow nearer.'
+      ],
+      dialogue: {
+        start: 'greet',
+        nodes: {
+          greet: { text: 'Finally. You keep walking past me as if I were furniture.', choices: [
+            { text: 'What do you want?', next: 'want' },
+            { text: 'Go away.', effects: { shadow: -0.05 }, say: 'It goes — which is to say, it waits behind you.' }
+          ] },
+          want: { text: 'To be read. Every shelf here is a page of you that you skipped.', choices: [
+            { text: 'Then show me one.', effects: { shadow: 0.08, insight: 4, learn_recipe: 'shadow_annotation' }, once: true,
+              say: 'It opens a book you remember writing and do not remember living. In the margin: ink of Nyx, worked into a folio, at the laboratory bench.' },
+            { text: 'Not yet.' }
+          ] }
+        }
+      }
+    }
+  };
+}
+
+// ---------- Quests ----------
+// See js/quests.js. `start: 'auto'` quests begin once their `when` holds; others are started by a
+// trigger or dialogue action ({ start_quest: 'id' }). Rewards take the same actions as triggers.
+function defaultQuests() {
+  return {
+    locked_east: {
+      name: 'The Locked East', start: 'auto', when: { visited: 'oracle_chamber' },
+      summary: 'A door east of the Oracle’s chamber will not open for you. Yet.',
+      steps: [
+        { text: 'Find the Quantum Key', obtain: 'quantum_key' },
+        { text: 'Ask the Oracle what lies east', talk: 'oracle', node: 'east' },
+        { text: 'Enter the Vault of Names', visit: 'vault_of_names' }
+      ],
+      rewards: { say: 'Every name in the Vault turns, briefly, to look at you.', effects: { insight: 15 } }
+    },
+    read_yourself: {
+      name: 'Read Yourself', start: 'auto', when: { visited: 'shadow_archive' },
+      summary: 'The Archive keeps books about you. Finishing one seems only polite.',
+      steps: [
+        { text: 'Read any book to its last page', finish_book: true }
+      ],
+      rewards: { effects: { shadow: 0.05 }, give_item: 'folio_notes' }
+    },
+    road_made_real: {
+      name: 'The Road Made Real',
+      summary: 'The Oracle says the road is real when you walk it, and not before.',
+      steps: [
+        { text: 'Become an Adept', evolve: 'Adept' },
+        { text: 'Let Truth pass 70%', when: { truth: 0.7 } }
+      ],
+      rewards: { say: 'Somewhere behind you, the Oracle nods before you arrive.', effects: { insight: 20 } }
+    }
+  };
+}
+
+// ---------- Recipes ----------
+// See js/crafting.js. Learned through learn_recipe effects (dialogue, triggers, pages) or a book's `teaches`.
+function defaultRecipes() {
+  return {
+    shadow_annotation: {
+      name: 'Shadow Annotation', inputs: ['ink_of_nyx', 'folio_notes'], output: 'shadow_annotation',
+      room: 'quantum_laboratory', requires: { shadow: 0.3 },
+      say: 'Under the floating equations the ink finds the folio’s blank margins and fills them with what you avoided writing.',
+      failure: {
+        when: { truth: { max: 0.35 } }, lose: ['ink_of_nyx'],
+        say: 'Your hand doubts the words before they land. The ink beads, runs, and is gone; the folio stays stubbornly blank.'
+      }
+    },
+    steeped_paradox: {
+      name: 'Steeped Paradox', inputs: ['tea_clarity', 'cat_paradox'], output: 'steeped_paradox',
+      room: 'tea_room', requires: { quantum: 0.2 },
+      say: 'You drop the paradox into the tea. It dissolves and does not, which is exactly right.',
+      failure: {
+        when: { shadow: { min: 0.8 } }, effects: { quantum: -0.03 },
+        say: 'The tea sees your shadow in its surface and curdles into a very ordinary cup. The paradox is lost in it.'
+      }
+    }
+  };
+}
+
+// ---------- Encounters ----------
+// See js/encounters.js. Fought offline with attack / abilities / defend / flee.
+function defaultEncounters() {
+  return {
+    shadow_manifestation: {
+      name: 'Shadow Manifestation', aliases: ['shadow', 'manifestation'], rooms: ['shadow_archive'],
+      when: { shadow: { max: 0.3 } }, chance: 0.7, respawn: 600,
+      hp: 36, attack: 9, defence: 5, focus: 0.25,
+      behaviour: { aggressive: true, guard: 0.2, flee_below: 0.15 },
+      moves: [
+        { name: 'lunge', power: 1, weight: 2 },
+        { name: 'old reproach', power: 0.8, pierce: true, text: 'It says, in your voice, the thing you never forgave yourself for.' },
+        { name: 'hunger', power: 0.9, drain: 0.5, text: 'It leans in and drinks at the edge of you.' }
+      ],
+      persona: 'the player’s shadow, unintegrated and furious at being ignored; it fights with the player’s own habits',
+      desc: 'Your outline, stretched and furious. Where its face should be is the look you give mirrors.',
+      intro: 'Your shadow tears itself free of the shelves. Unread for too long, it has decided to be noticed.',
+      defeat: 'It folds back into your outline — not gone, but finally facing the same way you are.',
+      victory: 'Your shadow stands over you a moment, then lies down along the floor again, as if nothing happened.',
+      escape: 'It pours itself between two shelves and is only a shadow again.',
+      loot: [{ item: 'ink_of_nyx', chance: 0.6 }, { item: 'folio_notes', chance: 0.3 }],
+      insight: 15,
+      rewards: { effects: { shadow: 0.1 }, flag: 'shadow_confronted' }
+    },
+    card_storm: {
+      name: 'Card Storm', aliases: ['storm', 'cards'], rooms: ['astral_index'],
+      when: { env: 'starlit' }, chance: 0.5, respawn: 900,
+      hp: 22, attack: 6, defence: 2, focus: 0.4, lasts: 4,
+      behaviour: { aggressive: true },
+      moves: [{ name: 'paper edges', power: 1, text: 'Cards slice past in a whirl of constellations.' }],
+      persona: 'a whirlwind of star-catalogue index cards refiling themselves all at once; a hazard, not a creature',
+      desc: 'Thousands of index cards in a spiral, each with a star on it, each looking for its drawer.',
+      intro: 'The sky sheds a drawer’s worth of cards at once, and the air is suddenly full of edges.',
+      defeat: 'You catch the last card out of the air. The rest settle, filed, into their drawers.',
+      pass: 'The storm thins as the cards find their drawers. The Index is quiet again.',
+      victory: 'The cards bury you in stars until you stop moving, then file themselves away.',
+      loot: [{ item: 'folio_notes', chance: 0.5 }],
+      insight: 6
+    }
+  };
+}
+
 // ---------- Character Creation ----------
+// Scenes play in order unless a choice (or the scene) names a `next` scene id; "end" finishes creation.
+// Each choice may carry `effects` (shared DSL, applied once the hero exists), `archetype` weights
+// (highest total wins), and a `shadow_level` delta. The scene flagged `name_input` shows a text field;
+// its choices with `input: true` take the typed name.
 function defaultScenes() {
   return [
-    { text: 'The threshold observes you before you observe it.\n\nHow do you approach the unknown?', choices: [
-      { text: 'Rush forward into mystery', value: 'active' },
-      { text: 'Study the patterns first', value: 'contemplative' },
-      { text: 'Feel for the right moment', value: 'intuitive' },
-      { text: 'Test each step carefully', value: 'cautious' }
+    { id: 'approach', text: 'The threshold observes you before you observe it.\n\nHow do you approach the unknown?', choices: [
+      { text: 'Rush forward into mystery', value: 'active',        archetype: { Warrior: 3 } },
+      { text: 'Study the patterns first',  value: 'contemplative', archetype: { Sage: 3 }, effects: { quantum: 0.1 } },
+      { text: 'Feel for the right moment', value: 'intuitive',     archetype: { Mystic: 3 } },
+      { text: 'Test each step carefully',  value: 'cautious',      archetype: { Guardian: 3 } }
     ] },
-    { text: "Three paths appear, but you sense they're choosing you:\n\n- Stairs descending into your fears\n- Light bridge over infinite void\n- Familiar hall that shouldn't exist\n\nWhich accepts you?", choices: [
-      { text: 'The descent into shadow', value: 'shadow-seeker' },
-      { text: 'The bridge of faith', value: 'faith-walker' },
+    { id: 'paths', text: "Three paths appear, but you sense they're choosing you:\n\n- Stairs descending into your fears\n- Light bridge over infinite void\n- Familiar hall that shouldn't exist\n\nWhich accepts you?", choices: [
+      { text: 'The descent into shadow', value: 'shadow-seeker', effects: { shadow: 0.2 } },
+      { text: 'The bridge of faith',     value: 'faith-walker' },
       { text: 'The impossible familiar', value: 'comfort-drawn' },
       { text: 'Wait for them to choose', value: 'observer' }
     ] },
-    { text: 'Mirrors show not reflections but possibilities:\n\n- A hero you\'ll never be\n- A child you\'ve forgotten\n- A shadow wearing your face\n- An elder remembering your future\n\nWhich is most true?', choices: [
-      { text: 'The impossible hero', value: 'idealized' },
-      { text: 'The forgotten child', value: 'vulnerable' },
-      { text: 'The familiar shadow', value: 'integrated' },
-      { text: 'The future memory', value: 'wisdom' }
+    { id: 'mirrors', text: 'Mirrors show not reflections but possibilities:\n\n- A hero you\'ll never be\n- A child you\'ve forgotten\n- A shadow wearing your face\n- An elder remembering your future\n\nWhich is most true?', choices: [
+      { text: 'The impossible hero',  value: 'idealized' },
+      { text: 'The forgotten child',  value: 'vulnerable' },
+      { text: 'The familiar shadow',  value: 'integrated', effects: { shadow: 0.3 }, shadow_level: 0.3 },
+      { text: 'The future memory',    value: 'wisdom' }
     ] },
-    { text: 'A book burns with your forgotten moments.\nThe fire reveals rather than destroys.\n\nWhat do you do with your hidden self?', choices: [
-      { text: 'Read every burning word', value: 'full-integration' },
-      { text: 'Let the fire cleanse', value: 'rejection' },
+    { id: 'burning_book', text: 'A book burns with your forgotten moments.\nThe fire reveals rather than destroys.\n\nWhat do you do with your hidden self?', choices: [
+      { text: 'Read every burning word', value: 'full-integration', effects: { shadow: -0.2 } },
+      { text: 'Let the fire cleanse',    value: 'rejection', shadow_level: 0.4 },
       { text: 'Save one essential page', value: 'partial-integration' },
-      { text: 'Add new pages to burn', value: 'shadow-work' }
+      { text: 'Add new pages to burn',   value: 'shadow-work' }
     ] },
-    { text: 'The Library asks for your true name.\nNot given, not chosen, but the one that resonates in quantum space.', choices: [
+    { id: 'true_name', name_input: true, text: 'The Library asks for your true name.\nNot given, not chosen, but the one that resonates in quantum space.', choices: [
       { text: 'Speak it into being', value: 'named', input: true },
-      { text: 'Remain undefined', value: 'unnamed' }
+      { text: 'Remain undefined',    value: 'unnamed' }
     ] }
   ];
 }
@@ -0,0 +1,161 @@
+// js/crafting.js
+// Item combination from content.recipes (game.recipes). Recipes must be learned before they work:
+// `known: true` ones from the start, the rest through the `learn_recipe` effect (dialogue,
+// triggers, quest rewards, consumables, book pages) or a book item's `teaches` list on finishing it.
+//
+//   shadow_annotation: {
+//     name: 'Shadow Annotation', known: false,
+//     inputs: ['ink_of_nyx', 'folio_notes'],        // repeat an id to need several (name each kind once)
+//     output: 'shadow_annotation' | { item, qty },
+//     room: 'quantum_laboratory',                   // workbench (optional; id or list)
+//     requires: { … },                              // conditions.js DSL, checked before anything is spent
+//     say: '…', effects: { … },                     // on success
+//     failure: { when: { … }, say: '…', effects: { … }, lose: 'all' | ['item_id'] }
+//   }
+//
+// `failure.when` is evaluated once requirements pass; when it holds the attempt fails, `lose`
+// inputs are spent (default: all) and the failure effects apply.
+
+import { meetsConditions, describeUnmet } from './conditions.js';
+import { applyEffects } from './effects.js';
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+/**
+ * Inputs as counts: ['a', 'a', 'b'] → { a: 2, b: 1 }.
+ */
+export function recipeInputs(recipe) {
+  const need = {};
+  for (const id of list(recipe?.inputs)) need[id] = (need[id] || 0) + 1;
+  return need;
+}
+
+export function recipeOutput(recipe) {
+  const out = recipe?.output;
+  return typeof out === 'string' ? { item: out, qty: 1 } : { item: out?.item, qty: Math.max(1, out?.qty || 1) };
+}
+
+export class CraftingEngine {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+  }
+
+  get defs() {
+    return this.g.recipes || {};
+  }
+
+  known(id) {
+    return !!this.defs[id] && (this.defs[id].known === true || this.g.state.knownRecipes.includes(id));
+  }
+
+  /**
+   * Learn a recipe (effect `learn_recipe`, book `teaches`). Unknown ids are ignored.
+   */
+  learn(id) {
+    const r = this.defs[id];
+    if (!r || this.known(id)) return false;
+    this.g.state.knownRecipes.push(id);
+    this.g.addOutput(`[Recipe learned: ${r.name || id}]`, 'system-message');
+    return true;
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `combine <a> with <b> [and <c>…]`
+   */
+  combine(aText, bText) {
+    const g = this.g;
+    if (!aText || !bText) { g.addOutput('Combine what with what? combine <item> with <item>'); return; }
+    const ids = [];
+    for (const name of [aText, ...bText.split(/\s*,\s*|\s+and\s+/).filter(Boolean)]) {
+      const id = g.findItemIdByName(name);
+      if (!id || !g.hasItem(id)) { g.addOutput(`You don't have ${name}.`); return; }
+      ids.push(id);
+    }
+
+    const wanted = new Set(ids);
+    const matches = Object.entries(this.defs).filter(([, r]) => {
+      const need = Object.keys(recipeInputs(r));
+      return need.length === wanted.size && need.every(id => wanted.has(id));
+    });
+    const [id, recipe] = matches.find(([rid]) => this.known(rid)) || [];
+    if (!recipe) {
+      g.addOutput(matches.length
+        ? 'These belong together, you are sure of it — but not how. Someone, or some book, must know.'
+        : `The ${[...wanted].map(i => g.items[i].name).join(' and the ')} ignore each other.`);
+      return;
+    }
+
+    const lacks = this.unmet(recipe);
+    if (lacks.length) { g.addOutput(`To make ${recipe.name || id} you need: ${lacks.join(', ')}`); return; }
+
+    const need = recipeInputs(recipe);
+    const short = Object.entries(need).filter(([item, n]) => !g.hasItem(item, n));
+    if (short.length) {
+      g.addOutput(`You need ${short.map(([item, n]) => g.itemLabel(item, n)).join(' and ')}.`);
+      return;
+    }
+    const fail = recipe.failure;
+    if (fail && meetsConditions(g, fail.when)) {
+      const lose = fail.lose === undefined || fail.lose === 'all' ? Object.keys(need) : list(fail.lose);
+      for (const item of lose) g.removeItem(item, need[item] || 1);
+      g.addOutput(fail.say || 'The combination slips apart in your hands.');
+      if (fail.effects) applyEffects(g, fail.effects, 'craft_fail');
+      g.saveState();
+      return;
+    }
+
+    for (const [item, n] of Object.entries(need)) g.removeItem(item, n);
+    const { item, qty } = recipeOutput(recipe);
+    g.addItem(item, qty);
+    g.addOutput(recipe.say || `You combine them into ${g.itemLabel(item, qty)}.`);
+    if (recipe.say) g.addOutput(`[+ ${g.itemLabel(item, qty)}]`, 'system-message');
+    if (recipe.effects) applyEffects(g, recipe.effects, 'craft');
+    else g.updateDisplay();
+    g.emit('craft', { recipe: id, item });
+    g.publishRoomEvent(g.state.currentRoom, {
+      event_type:'craft',
+      player: g.buildPublicPlayerState(),
+      payload:{ item: g.items[item]?.name || item, qty }
+    }).catch(()=>{});
+    g.publishPlayerState('craft').catch(()=>{});
+    g.saveState();
+  }
+
+  /**
+   * Everything missing for a recipe besides its inputs: the workbench room and its conditions.
+   */
+  unmet(recipe) {
+    const lacks = [];
+    const rooms = list(recipe.room);
+    if (rooms.length && !rooms.includes(this.g.state.currentRoom)) {
+      lacks.push(`to be in ${rooms.map(r => this.g.roomTemplates[r]?.name || r).join(' or ')}`);
+    }
+    return [...lacks, ...describeUnmet(this.g, recipe.requires)];
+  }
+
+  /**
+   * `recipes`: what you know and whether you could make it now.
+   */
+  list() {
+    const known = Object.keys(this.defs).filter(id => this.known(id));
+    if (!known.length) {
+      this.g.addOutput('You know no recipes yet. Books and the people of the Library may teach you some.');
+      return;
+    }
+    const lines = ['[Recipes]'];
+    for (const id of known) {
+      const r = this.defs[id];
+      const inputs = Object.entries(recipeInputs(r)).map(([item, n]) => this.g.itemLabel(item, n)).join(' + ');
+      const { item, qty } = recipeOutput(r);
+      const lacks = this.unmet(r);
+      lines.push(`- ${inputs} → ${this.g.itemLabel(item, qty)}${lacks.length ? ` (needs ${lacks.join(', ')})` : ''}`);
+    }
+    lines.push('Use: combine <item> with <item>');
+    this.g.addOutput(lines.join('\n'));
+  }
+}
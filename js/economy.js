@@ -0,0 +1,181 @@
+// js/economy.js
+// Vendor economy: finite stock, restocking and prices that drift with supply and demand.
+// Goods in content:
+//
+//   vendor: {
+//     name: 'The Scribe', sellbackRate: 0.5,
+//     elasticity: 0.06,   // price change per unit of recent net demand (default 0.06)
+//     memory: 900,        // seconds for recent demand to fade by half (default 900)
+//     goods: [{ item: 'tea_clarity', price: 10, stock: 8, restock: 120 }]   // one unit back per 120 s
+//   }
+//
+// Goods without `stock` never run out. Buying raises an item's demand, selling lowers it; a
+// scarce good (stock below its cap) costs more to buy but fetches no more when sold, and a sale
+// always pays less than the vendor's current asking price. Bulk trades are priced unit by unit
+// (quote()). State lives in state.world.vendors:
+//
+//   { [roomId]: { stock: { id: n }, restockAt: { id: ms }, demand: { id: units }, at, seen: { id: price } } }
+//
+// Trades on Topics.trades from other players at the same vendor move stock and demand too; each
+// carries the sender's growing `seq`, so a repeated delivery is applied once.
+
+export const DEFAULT_ELASTICITY = 0.06;
+export const DEFAULT_MEMORY = 900;
+const MIN_FACTOR = 0.5;
+const MAX_FACTOR = 2.5;
+
+const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
+
+export class Economy {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    this.seq = Date.now();      // our trade counter; only ever grows
+    this.seen = new Map();      // trader id → last seq applied
+  }
+
+  get data() {
+    return this.g.state.world.vendors;
+  }
+
+  vendor(roomId) {
+    return this.g.roomTemplates[roomId]?.vendor || null;
+  }
+
+  good(roomId, id) {
+    return (this.vendor(roomId)?.goods || []).find(x => x.item === id) || null;
+  }
+
+  // ----- Market state -----
+
+  /**
+   * A vendor's record, settled to now: restocked and with demand faded.
+   */
+  market(roomId, now = Date.now()) {
+    const v = this.vendor(roomId);
+    const rec = this.data[roomId] || (this.data[roomId] = { stock: {}, restockAt: {}, demand: {}, at: now, seen: {} });
+    for (const g of v?.goods || []) {
+      if (typeof g.stock !== 'number') continue;
+      if (rec.stock[g.item] === undefined) rec.stock[g.item] = g.stock;
+      const every = (g.restock || 0) * 1000;
+      if (rec.stock[g.item] >= g.stock || !every) { delete rec.restockAt[g.item]; continue; }
+      const since = rec.restockAt[g.item] ?? now;
+      const units = Math.floor((now - since) / every);
+      if (units > 0) {
+        rec.stock[g.item] = Math.min(g.stock, rec.stock[g.item] + units);
+        rec.restockAt[g.item] = since + units * every;
+      } else {
+        rec.restockAt[g.item] = since;
+      }
+      if (rec.stock[g.item] >= g.stock) delete rec.restockAt[g.item];
+    }
+    const halfLife = (v?.memory ?? DEFAULT_MEMORY) * 1000;
+    const fade = Math.pow(0.5, Math.max(0, now - rec.at) / halfLife);
+    for (const id of Object.keys(rec.demand)) {
+      rec.demand[id] *= fade;
+      if (Math.abs(rec.demand[id]) < 0.05) delete rec.demand[id];
+    }
+    rec.at = now;
+    return rec;
+  }
+
+  /**
+   * Units on hand (Infinity for goods without a stock cap, 0 for goods not sold here).
+   */
+  stock(roomId, id) {
+    const g = this.good(roomId, id);
+    if (!g) return 0;
+    return typeof g.stock === 'number' ? this.market(roomId).stock[id] : Infinity;
+  }
+
+  /**
+   * Price multiplier from recent demand and, for capped goods, scarcity (buying only).
+   */
+  factor(roomId, id, { scarcity = true } = {}) {
+    const v = this.vendor(roomId);
+    const rec = this.market(roomId);
+    let f = 1 + (v?.elasticity ?? DEFAULT_ELASTICITY) * (rec.demand[id] || 0);
+    const g = this.good(roomId, id);
+    if (scarcity && typeof g?.stock === 'number' && g.stock > 0) f *= 1 + 0.5 * (1 - rec.stock[id] / g.stock);
+    return clamp(f, MIN_FACTOR, MAX_FACTOR);
+  }
+
+  buyPrice(roomId, id) {
+    const g = this.good(roomId, id);
+    return g ? Math.max(1, Math.round((g.price ?? this.g.items[id]?.price ?? 0) * this.factor(roomId, id))) : null;
+  }
+
+  /**
+   * What the vendor pays for one unit: never as much as it asks for the same good.
+   */
+  sellPrice(roomId, id) {
+    const v = this.vendor(roomId);
+    const base = this.g.items[id]?.price || 0;
+    const p = Math.max(1, Math.floor(base * (v?.sellbackRate ?? 0.5) * this.factor(roomId, id, { scarcity: false })));
+    const ask = this.buyPrice(roomId, id);
+    return ask === null ? p : Math.max(0, Math.min(p, ask - 1));
+  }
+
+  /**
+   * Total for `qty` units bought or sold one at a time, each priced after the previous one
+   * moved stock and demand. The market is left as it was; trade() commits.
+   */
+  quote(roomId, id, qty, side) {
+    const rec = this.market(roomId);
+    const saved = { stock: rec.stock[id], restockAt: rec.restockAt[id], demand: rec.demand[id] };
+    let total = 0;
+    for (let i = 0; i < qty; i++) {
+      total += side === 'buy' ? this.buyPrice(roomId, id) : this.sellPrice(roomId, id);
+      this.trade(roomId, id, 1, side);
+    }
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete rec[k][id];
+      else rec[k][id] = v;
+    }
+    return total;
+  }
+
+  /**
+   * ▲ / ▼ against the price last shown in `shop`, · when unchanged; remembers the new price.
+   */
+  trend(roomId, id, price) {
+    const rec = this.market(roomId);
+    const last = rec.seen[id];
+    rec.seen[id] = price;
+    return last === undefined || last === price ? '·' : price > last ? '▲' : '▼';
+  }
+
+  /**
+   * Record a trade at a vendor: stock moves and demand shifts (buys up, sells down).
+   */
+  trade(roomId, id, qty, side) {
+    const rec = this.market(roomId);
+    const g = this.good(roomId, id);
+    const n = Math.max(0, Math.floor(qty));
+    if (!n) return;
+    rec.demand[id] = (rec.demand[id] || 0) + (side === 'buy' ? n : -n);
+    if (typeof g?.stock === 'number') {
+      const next = rec.stock[id] + (side === 'buy' ? -n : n);
+      rec.stock[id] = clamp(next, 0, g.stock * 2);
+      if (rec.stock[id] < g.stock && rec.restockAt[id] === undefined) rec.restockAt[id] = Date.now();
+    }
+  }
+
+  /**
+   * Apply another player's trade from Topics.trades (once per seq).
+   */
+  onTrade(msg) {
+    const d = msg?.content?.data || {};
+    const p = d.payload || {};
+    const from = d.player?.id;
+    if (!from || from === this.g.playerId || !['buy', 'sell'].includes(d.event_type)) return;
+    if (!p.vendor || !this.vendor(p.vendor) || !this.g.items[p.item_id]) return;
+    const seq = Number(p.seq);
+    if (!Number.isFinite(seq) || seq <= (this.seen.get(from) ?? -Infinity)) return;
+    this.seen.set(from, seq);
+    this.trade(p.vendor, p.item_id, Math.min(99, p.qty || 1), d.event_type);
+    this.g.saveState();
+  }
+}
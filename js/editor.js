@@ -0,0 +1,281 @@
+// js/editor.js
+// Dev-mode world editor: create and edit rooms in the browser, hot-reload them into
+// game.roomTemplates and export every edited room as a content pack ({ "rooms": { … } })
+// that packs.json can list. Fields the form does not cover (triggers, descriptionVariants,
+// exit conditions…) are carried over untouched.
+
+import { downloadJSON } from './utils.js';
+import { validateContent } from './validate.js';
+
+const OPPOSITE = { north: 'south', south: 'north', east: 'west', west: 'east', up: 'down', down: 'up' };
+const ROOM_ID = /^[a-z0-9_]+(:[a-z0-9_]+)?$/;
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+const exitTo = ex => typeof ex === 'string' ? ex : ex?.to;
+
+export class WorldEditor {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    this.roomId = null;        // room being edited; null while drafting a new one
+    this.edited = new Set();   // room ids changed this session (what export writes)
+  }
+
+  // ----- Panel -----
+
+  open(roomId = this.g.state.currentRoom) {
+    const panel = document.getElementById('editor-panel');
+    if (!panel || !this.g.devMode) return false;
+    panel.style.display = 'block';
+    this.edit(this.g.roomTemplates[roomId] ? roomId : null);
+    return true;
+  }
+
+  close() {
+    const panel = document.getElementById('editor-panel');
+    if (panel) panel.style.display = 'none';
+  }
+
+  /**
+   * Load a room (or a blank draft for null) into the form.
+   */
+  edit(roomId) {
+    this.roomId = roomId;
+    const room = roomId ? this.g.roomTemplates[roomId] : { name: '', exits: {} };
+    const select = document.getElementById('editor-room');
+    select.innerHTML = '';
+    const blank = document.createElement('option');
+    blank.value = '';
+    blank.textContent = '+ New room';
+    select.appendChild(blank);
+    for (const [id, r] of Object.entries(this.g.roomTemplates)) {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = `${r.name || id}${this.edited.has(id) ? ' *' : ''}`;
+      select.appendChild(opt);
+    }
+    select.value = roomId || '';
+
+    const ids = document.getElementById('editor-room-ids');
+    ids.innerHTML = '';
+    for (const id of Object.keys(this.g.roomTemplates)) {
+      const opt = document.createElement('option');
+      opt.value = id;
+      ids.appendChild(opt);
+    }
+
+    const idInput = this._field('id');
+    idInput.value = roomId || '';
+    idInput.disabled = !!roomId; // existing ids are referenced elsewhere; renaming would orphan them
+    this._field('name').value = room.name || '';
+    this._field('prompt').value = room.basePrompt || '';
+    this._field('literary').value = room.literary || '';
+    this._field('desc').value = room.description || '';
+    this._field('items').value = list(room.items).join(', ');
+    this._field('vendor').value = room.vendor?.name || '';
+    this._field('goods').value = list(room.vendor?.goods).map(x => `${x.item} ${x.price ?? ''}`.trim()).join('\n');
+
+    const rows = document.getElementById('editor-exits');
+    rows.innerHTML = '';
+    for (const [dir, ex] of Object.entries(room.exits || {})) this.addExitRow(dir, exitTo(ex), ex?.key || '');
+    this.preview();
+  }
+
+  addExitRow(dir = '', to = '', key = '') {
+    const row = document.createElement('div');
+    row.className = 'editor-exit';
+    const input = (field, value, placeholder, listId) => {
+      const el = document.createElement('input');
+      el.className = 'api-input';
+      el.dataset.field = field;
+      el.value = value;
+      el.placeholder = placeholder;
+      if (listId) el.setAttribute('list', listId);
+      el.addEventListener('input', () => this.preview());
+      row.appendChild(el);
+    };
+    input('dir', dir, 'direction');
+    input('to', to, 'room id', 'editor-room-ids');
+    input('key', key, 'key item (optional)');
+    const remove = document.createElement('button');
+    remove.className = 'setup-button secondary';
+    remove.textContent = '×';
+    remove.title = 'Remove exit';
+    remove.onclick = () => { row.remove(); this.preview(); };
+    row.appendChild(remove);
+    document.getElementById('editor-exits').appendChild(row);
+  }
+
+  // ----- Form ↔ room -----
+
+  /**
+   * The room described by the form, merged over the template it edits.
+   * @returns {{ id: string, room: object }}
+   */
+  readForm() {
+    const base = this.roomId ? this.g.roomTemplates[this.roomId] : {};
+    const id = this.roomId || this._field('id').value.trim();
+    const text = name => this._field(name).value.trim();
+    const room = { ...base, name: text('name'), basePrompt: text('prompt'), literary: text('literary'), description: text('desc') };
+    for (const k of ['basePrompt', 'literary', 'description']) if (!room[k]) delete room[k];
+
+    room.exits = {};
+    for (const row of document.querySelectorAll('#editor-exits .editor-exit')) {
+      const val = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+      const dir = val('dir').toLowerCase();
+      const to = val('to');
+      if (!dir || !to) continue;
+      // Keep the exit's other settings (when, reveal, hidden, message) when only its target or key changed
+      const prev = base.exits?.[dir];
+      const extra = prev && typeof prev === 'object' ? prev : {};
+      const key = val('key');
+      const ex = { ...extra, to };
+      if (key) ex.key = key; else delete ex.key;
+      room.exits[dir] = Object.keys(ex).length > 1 ? ex : to;
+    }
+
+    const items = text('items').split(',').map(x => x.trim()).filter(Boolean);
+    if (items.length) room.items = items; else delete room.items;
+
+    // Keep a good's other settings (stock, restock) when only its price changed
+    const goods = text('goods').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+      const [item, price] = line.split(/\s+/);
+      const p = Number(price);
+      const extra = { ...list(base.vendor?.goods).find(x => x?.item === item) };
+      delete extra.price;
+      return price !== undefined && !isNaN(p) ? { ...extra, item, price: p } : { ...extra, item };
+    });
+    if (goods.length || text('vendor')) room.vendor = { ...(base.vendor || {}), name: text('vendor') || 'Vendor', goods };
+    else delete room.vendor;
+    return { id, room };
+  }
+
+  /**
+   * Problems with the room as drafted: id checks plus the validator's diagnostics
+   * for this room and for exits elsewhere that lead into it.
+   */
+  check(id, room) {
+    const out = [];
+    if (!id) out.push({ level: 'error', where: 'id', message: 'A new room needs an id.' });
+    else if (!ROOM_ID.test(id)) out.push({ level: 'error', where: 'id', message: 'Use lowercase letters, digits and _ (optionally ns:id).' });
+    else if (!this.roomId && this.g.roomTemplates[id]) out.push({ level: 'error', where: 'id', message: `"${id}" already exists.` });
+    if (!id) return out;
+    const rooms = { ...this.g.roomTemplates, [id]: room };
+    const mine = d => d.where === `rooms.${id}` || d.where.startsWith(`rooms.${id}.`) || d.message.includes(`"${id}"`);
+    return [...out, ...validateContent(this.g.contentSnapshot({ rooms })).filter(mine)];
+  }
+
+  /**
+   * Redraw the preview: the room's offline text, a mini-map of its exits and its problems.
+   */
+  preview() {
+    const { id, room } = this.readForm();
+    const rooms = this.g.roomTemplates;
+
+    const paths = Object.keys(room.exits);
+    document.getElementById('editor-preview').textContent =
+      `[${room.name || id || 'Untitled'}]\n${room.description || 'The room defies description.'}` +
+      (room.items?.length ? `\nYou notice: ${room.items.map(x => this.g.items[x]?.name || x).join(', ')}` : '') +
+      `\n\nPaths: ${paths.join(', ') || 'none'}`;
+
+    // Same cells as the game map: current = this room, visited = two-way exit, adjacent = one-way, sealed = missing room
+    const grid = document.getElementById('editor-map');
+    grid.innerHTML = '';
+    const self = document.createElement('div');
+    self.className = 'map-room current';
+    self.title = room.name || id || 'this room';
+    grid.appendChild(self);
+    for (const [dir, ex] of Object.entries(room.exits)) {
+      const to = exitTo(ex);
+      const target = to === id ? room : rooms[to];
+      const back = target && Object.values(target.exits || {}).some(e => exitTo(e) === id);
+      const cell = document.createElement('div');
+      cell.className = `map-room ${!target ? 'sealed' : back ? 'visited' : 'adjacent'}`;
+      cell.title = `${dir} → ${target?.name || to}${!target ? ' (missing)' : back ? '' : ' (one-way)'}`;
+      if (target && to !== id) cell.onclick = () => this.edit(to);
+      grid.appendChild(cell);
+    }
+
+    const problems = this.check(id, room);
+    const box = document.getElementById('editor-problems');
+    box.innerHTML = '';
+    for (const d of problems) {
+      const row = document.createElement('div');
+      row.className = d.level === 'error' ? 'dev-diag error' : 'dev-diag warn';
+      row.textContent = `${d.where}: ${d.message}`;
+      box.appendChild(row);
+    }
+    return problems;
+  }
+
+  // ----- Actions -----
+
+  /**
+   * Hot-reload the drafted room into roomTemplates (refused while it has errors).
+   */
+  apply() {
+    const { id, room } = this.readForm();
+    const errors = this.preview().filter(d => d.level === 'error');
+    if (errors.length) {
+      this._status(`Not applied: ${errors.length} error(s).`);
+      return false;
+    }
+    this.g.roomTemplates[id] = room;
+    this.edited.add(id);
+    this._afterChange();
+    this.edit(id);
+    this._status(`Applied ${id}.`);
+    return true;
+  }
+
+  /**
+   * Apply, then give every exit's target room an exit back in the opposite direction.
+   */
+  linkBack() {
+    if (!this.apply()) return;
+    const id = this.roomId;
+    const skipped = [];
+    let added = 0;
+    for (const [dir, ex] of Object.entries(this.g.roomTemplates[id].exits || {})) {
+      const to = exitTo(ex);
+      const target = this.g.roomTemplates[to];
+      if (!target || to === id || Object.values(target.exits || {}).some(e => exitTo(e) === id)) continue;
+      const back = OPPOSITE[dir];
+      if (!back || target.exits?.[back]) { skipped.push(`${to} (${back ? `${back} is taken` : `no opposite of ${dir}`})`); continue; }
+      this.g.roomTemplates[to] = { ...target, exits: { ...(target.exits || {}), [back]: id } };
+      this.edited.add(to);
+      added++;
+    }
+    this._afterChange();
+    this.edit(id);
+    this._status(`Linked ${added} exit(s) back.${skipped.length ? ` Skipped: ${skipped.join(', ')}.` : ''}`);
+  }
+
+  /**
+   * Download the edited rooms as a pack: list it in packs.json (no namespace) to load it.
+   */
+  exportPack() {
+    if (!this.edited.size) { this._status('Nothing edited yet.'); return; }
+    const rooms = {};
+    for (const id of this.edited) if (this.g.roomTemplates[id]) rooms[id] = this.g.roomTemplates[id];
+    downloadJSON({ rooms }, `qmud-rooms-${Date.now()}.json`);
+    this._status(`Exported ${Object.keys(rooms).length} room(s).`);
+  }
+
+  // ----- Internals -----
+
+  _afterChange() {
+    this.g.revalidate();
+    if (this.g.state.player) this.g.updateMap();
+  }
+
+  _field(name) {
+    return document.getElementById(`editor-${name}`);
+  }
+
+  _status(text) {
+    document.getElementById('editor-status').textContent = text;
+  }
+}
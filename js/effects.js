@@ -0,0 +1,59 @@
+// js/effects.js
+// Shared effects DSL. One engine applies effects from consumables, book pages and scripted events.
+//
+// Supported keys:
+//   truth | shadow : +0.1 (delta) or "=0.5" (absolute), clamped to 0..1
+//   quantum        : same, or { coherence: +0.1 }
+//   insight        : integer delta (Ξ)
+//   hp             : integer delta, clamped to 0..100; reaching 0 downs the player (js/vitality.js)
+//   give_item / take_item : 'item_id' or ['item_id', …]
+//   learn_recipe   : 'recipe_id' or [...] (see js/crafting.js)
+//
+// Gains (positive truth/quantum/shadow/insight deltas) are scaled by equipped gear's modifiers.
+
+import { clamp01 } from './utils.js';
+
+export const EFFECT_KEYS = ['truth', 'quantum', 'shadow', 'insight', 'hp', 'give_item', 'take_item', 'learn_recipe'];
+
+function adjust(current, val, boost = v => v) {
+  if (typeof val === 'number') return clamp01(current + boost(val));
+  if (typeof val === 'string' && /^=/.test(val)) {
+    const num = parseFloat(val.slice(1));
+    if (!isNaN(num)) return clamp01(num);
+  }
+  return current;
+}
+
+/**
+ * Apply an effects object to the game state.
+ * @param {QuantumTruthMUD} g
+ * @param {object} effects
+ * @param {string} [reason] - reason tag for the published player snapshot
+ */
+export function applyEffects(g, effects, reason = 'effects') {
+  if (!effects || typeof effects !== 'object') return;
+  const s = g.state;
+  const boost = key => v => g.equipment ? g.equipment.boost(key, v) : v;
+  if ('truth' in effects) s.truthDensity = adjust(s.truthDensity, effects.truth, boost('truth'));
+  if ('quantum' in effects) {
+    const q = effects.quantum;
+    const val = q && typeof q === 'object' ? (q.coherence || 0) : q;
+    s.quantumState.coherence = adjust(s.quantumState.coherence, val, boost('quantum'));
+  }
+  if ('shadow' in effects) s.shadowIntegration = adjust(s.shadowIntegration, effects.shadow, boost('shadow'));
+  if (typeof effects.insight === 'number') {
+    const n = Math.floor(boost('insight')(effects.insight));
+    if (n > 0) g.grantInsight(n);
+    else s.insight = Math.max(0, s.insight + n);
+  }
+  if (typeof effects.hp === 'number') g.vitality.change(Math.floor(effects.hp), reason);
+  for (const id of [].concat(effects.give_item || [])) {
+    if (g.items[id]) g.addItem(id);
+  }
+  for (const id of [].concat(effects.take_item || [])) {
+    if (g.items[id]) g.removeItem(id);
+  }
+  for (const id of [].concat(effects.learn_recipe || [])) g.crafting.learn(id);
+  g.updateDisplay();
+  g.publishPlayerState(reason).catch(()=>{});
+}
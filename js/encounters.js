@@ -0,0 +1,244 @@
+// js/encounters.js
+// PvE encounters from content.encounters (game.encounterTemplates). They spawn on entering a
+// room and are fought with the combat commands (js/combat.js), entirely offline:
+//
+//   shadow_manifestation: {
+//     name: 'Shadow Manifestation', rooms: ['shadow_archive'], when: { shadow: { max: 0.3 } },
+//     chance: 0.6, respawn: 600,             // roll per entry; seconds before it can return (once: true → never)
+//     hp: 36, attack: 9, defence: 5, focus: 0.25,
+//     behaviour: { aggressive: true, guard: 0.2, flee_below: 0.15 },
+//     lasts: 4,                              // hazards: rounds before it passes by itself
+//     moves: [{ name: 'lunge', power: 1, weight: 2, text: '…' }, { name: 'doubt', power: 0.7, pierce: true }],
+//     intro, desc, defeat, victory, escape, pass,   // texts; with AI on, intro and defeat are generated from `persona`
+//     loot: [{ item: 'ink_of_nyx', chance: 0.6, n: 1 }], insight: 15,
+//     rewards: { say, effects, give_item, flag, … }  // trigger actions on defeat
+//   }
+//
+// Each of your combat actions gets an answer: the foe strikes, guards, escapes or (hazards)
+// passes. An aggressive foe strikes first and punishes turning away to take, use, equip…
+// Rolls come from the combat RNG, seeded per encounter and round.
+
+import { meetsConditions } from './conditions.js';
+import { runActions } from './triggers.js';
+import { resolve, rng, hash } from './combat.js';
+
+// Commands that give an aggressive foe a free blow
+export const PROVOKING = ['take', 'drop', 'use', 'equip', 'unequip', 'combine', 'meditate', 'talk', 'read', 'learn', 'buy', 'sell'];
+const DEFAULT_RESPAWN = 300;
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+export class EncounterEngine {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    game.on('action', ({ verb }) => {
+      if (this.active && PROVOKING.includes(verb) && this.def?.behaviour?.aggressive) {
+        this.g.addOutput(`${this.def.name} takes its chance while you are busy.`, 'system-message');
+        this.turn();
+      }
+    });
+  }
+
+  get defs() {
+    return this.g.encounterTemplates || {};
+  }
+
+  get active() {
+    const e = this.g.state.encounter;
+    return e && this.defs[e.id] && e.room === this.g.state.currentRoom ? e : null;
+  }
+
+  get def() {
+    return this.active ? this.defs[this.active.id] : null;
+  }
+
+  /**
+   * The active foe if `text` names it (any name when empty), else null.
+   */
+  find(text = '') {
+    const def = this.def;
+    if (!def) return null;
+    const low = text.toLowerCase().trim();
+    const names = [def.name, ...list(def.aliases)].map(n => n.toLowerCase());
+    return !low || names.some(n => n.startsWith(low) || n.split(/\s+/).some(w => w.startsWith(low))) ? this.active : null;
+  }
+
+  /**
+   * Combat profile of an encounter (see js/combat.js profile()).
+   */
+  profile(def) {
+    return { attack: def.attack ?? 6, defence: def.defence ?? 4, focus: Math.max(0, Math.min(1, def.focus ?? 0.2)) };
+  }
+
+  // ----- Spawning -----
+
+  /**
+   * On entering a room: a foe left here is still waiting; otherwise roll for a new one
+   * (not when a save resumes).
+   */
+  async check(roomId = this.g.state.currentRoom, { spawn = true } = {}) {
+    const g = this.g;
+    if (this.active) { this._status(`${this.def.name} is still here.`); return; }
+    if (!spawn || (g.state.hp ?? 100) <= 0) return;
+    const now = Date.now();
+    for (const [id, def] of Object.entries(this.defs)) {
+      if (!list(def.rooms).includes(roomId) || !meetsConditions(g, def.when)) continue;
+      const last = g.state.defeated[id];
+      if (last && (def.once || now - last < (def.respawn ?? DEFAULT_RESPAWN) * 1000)) continue;
+      if (Math.random() >= (def.chance ?? 1)) continue;
+      await this.spawn(id);
+      return;
+    }
+  }
+
+  /**
+   * Walking away from a foe that lets you: it stays behind and forgets the fight.
+   */
+  leave(roomId) {
+    const e = this.g.state.encounter;
+    if (!e || e.room === roomId) return;
+    this.g.addOutput(`You leave the ${this.defs[e.id]?.name || 'danger'} behind.`, 'system-message');
+    this.g.state.encounter = null;
+  }
+
+  async spawn(id) {
+    const g = this.g;
+    const def = this.defs[id];
+    if (!def) return;
+    g.state.encounter = { id, room: g.state.currentRoom, hp: def.hp ?? 20, round: 0, guard: false, seed: Math.floor(Math.random() * 4294967296) };
+    g.addOutput(await this._flavor(def, 'intro', def.intro || `${def.name} appears!`), 'librarian-voice');
+    if (def.behaviour?.aggressive) this.turn();
+    else this._status();
+    g.saveState();
+  }
+
+  // ----- Fighting -----
+
+  /**
+   * Your blow against the active foe (from combat.attack); the foe answers.
+   */
+  async attack(ability) {
+    const g = this.g;
+    const e = this.active;
+    const def = this.def;
+    const out = resolve(g.combat.profile(), this.profile(def), ability, hash(`${e.seed}#${e.round}:you`), e.guard);
+    e.guard = false;
+    if (ability.text) g.addOutput(`[${ability.text[0].toUpperCase()}${ability.text.slice(1)}.]`, 'system-message');
+    if (!out.hit) g.addOutput(`${def.name} slips your ${ability.name}.`);
+    else g.addOutput(`You ${ability.name === 'strike' ? 'strike' : ability.name} ${def.name} for ${out.dmg}${out.crit ? ' — a critical blow' : ''}.`);
+    if (out.heal) g.combat.heal(out.heal);
+    e.hp = Math.max(0, e.hp - out.dmg);
+    if (e.hp === 0) { await this._defeat(); return; }
+    this.turn();
+  }
+
+  /**
+   * The foe's answer: pass (hazards), escape, guard or strike.
+   */
+  turn() {
+    const g = this.g;
+    const e = this.active;
+    const def = this.def;
+    if (!e) return;
+    e.round++;
+    const r = rng(hash(`${e.seed}#${e.round}:foe`));
+    const b = def.behaviour || {};
+    if (def.lasts && e.round > def.lasts) {
+      this._end(def.pass || `${def.name} passes.`);
+      return;
+    }
+    if (b.flee_below && e.hp / (def.hp ?? 20) < b.flee_below) {
+      this._end(def.escape || `${def.name} breaks away and is gone.`);
+      return;
+    }
+    if (b.guard && r() < b.guard) {
+      e.guard = true;
+      g.addOutput(`${def.name} gathers itself, guarded.`);
+      g.saveState();
+      return;
+    }
+    const moves = list(def.moves).length ? list(def.moves) : [{ name: 'strike', power: 1 }];
+    let pick = r() * moves.reduce((s, m) => s + (m.weight ?? 1), 0);
+    const move = moves.find(m => (pick -= m.weight ?? 1) < 0) || moves[0];
+    const out = resolve(this.profile(def), g.combat.profile(), { power: 1, ...move }, hash(`${e.seed}#${e.round}:hit`), g.combat.guarded(g.playerId));
+    if (move.text) g.addOutput(move.text);
+    if (!out.hit) { g.addOutput(`${def.name}'s ${move.name} misses you.`); g.saveState(); return; }
+    g.addOutput(`[${def.name}'s ${move.name}: you take ${out.dmg} damage${g.combat.guarded(g.playerId) ? ', guarded' : ''}]`, 'system-message');
+    if (out.heal) e.hp = Math.min(def.hp ?? 20, e.hp + out.heal);
+    if (out.dmg >= (g.state.hp ?? 100)) this._end(def.victory || `${def.name} overwhelms you.`);
+    g.vitality.change(-out.dmg, def.name);
+    if (!this.active) return;
+    this._status();
+    g.saveState();
+  }
+
+  /**
+   * Leaving the fight (a successful flee).
+   */
+  escape() {
+    if (this.active) this.g.state.encounter = null;
+  }
+
+  /**
+   * Text for `look <foe>`, or null.
+   */
+  describe(text) {
+    const e = this.find(text);
+    if (!e || !text) return null;
+    return `${this.def.desc || this.def.name} [${e.hp}/${this.def.hp ?? 20} HP]`;
+  }
+
+  // ----- Internals -----
+
+  async _defeat() {
+    const g = this.g;
+    const { id, seed } = this.active;
+    const def = this.def;
+    g.state.encounter = null;
+    g.state.defeated[id] = Date.now();
+    g.addOutput(await this._flavor(def, 'defeat', def.defeat || `${def.name} is undone.`), 'librarian-voice');
+    const r = rng(hash(`${seed}:loot`));
+    const got = list(def.loot).filter(l => g.items[l?.item] && r() < (l.chance ?? 1));
+    for (const l of got) g.addItem(l.item, l.n || 1);
+    if (got.length) g.addOutput(`You find: ${got.map(l => g.itemLabel(l.item, l.n || 1)).join(', ')}`);
+    if (def.insight) g.grantInsight(def.insight);
+    if (def.rewards) runActions(g, def.rewards, g.state.currentRoom, 'encounter');
+    if (got.length) g.emit('loot', { items: got.map(l => l.item) });
+    g.emit('defeat', { encounter: id });
+    g.saveState();
+    g.updateDisplay();
+  }
+
+  _end(text) {
+    this.g.state.encounter = null;
+    this.g.addOutput(text, 'librarian-voice');
+    this.g.saveState();
+    this.g.updateDisplay();
+  }
+
+  _status(lead = '') {
+    const e = this.active;
+    if (!e) return;
+    const def = this.def;
+    this.g.addOutput(`${lead ? `${lead} ` : ''}[${def.name}: ${e.hp}/${def.hp ?? 20} HP — you: ${this.g.state.hp} HP]`, 'system-message');
+  }
+
+  /**
+   * AI-written intro/defeat line from the encounter's persona, or the content text.
+   */
+  async _flavor(def, kind, fallback) {
+    const g = this.g;
+    if (!g.aiEnabled || !def.persona || g._shouldRateLimit()) return fallback;
+    const room = g.roomTemplates[g.state.currentRoom];
+    const prompt = `In ${room?.name || 'the Library'} (${room?.basePrompt || ''}), ${g.state.player?.name} faces ${def.name}: ${def.persona}
+Write ${kind === 'intro' ? 'its sudden appearance' : 'the moment it is defeated'} in one or two atmospheric sentences, second person, present tense. It should mean the same as: "${fallback}"`;
+    try {
+      return (await g.ai.callLLM(prompt)) || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+}
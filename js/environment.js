@@ -0,0 +1,208 @@
+// js/environment.js
+// The Library's environment: a world clock with phases, per-room states and timed events.
+// The clock runs from wall time, so every client computes the same hour offline; with Aterna
+// on, ticks on Topics.envTick correct the clock and may override room states or announce events:
+//
+//   { event_type: 'tick', payload: { minute: 41785, rooms: { hall_of_mirrors: ['fogged'] }, say: '…' } }
+//
+// Rooms describe their environment in content:
+//
+//   environment: {
+//     hour: 18,                                      // the room's clocks are stopped at this hour
+//     states: {
+//       fogged: { phase: ['dawn', 'night'], hours: { from: 4, to: 7 }, chance: 0.6,
+//                 label: 'fogged mirrors', text: 'shown while active', start: '…', end: '…' }
+//     }
+//   }
+//
+// `chance` is rolled once per world day per room state (deterministically, so clients agree).
+// When the current room's phase or states change, start/end lines print and `env` triggers fire.
+
+import { Topics } from './aterna.js';
+import { fireTriggers } from './triggers.js';
+
+export const DAY_MS = 48 * 60 * 1000;       // one world day per 48 real minutes
+export const MINUTE_MS = DAY_MS / 1440;     // a world minute is two real seconds
+export const TICK_MS = 20 * 1000;
+const REMOTE_TTL_MS = 3 * TICK_MS;          // trust ticked room states this long
+
+export const PHASES = ['dawn', 'day', 'dusk', 'night'];
+const PHASE_TEXT = {
+  dawn:  'Dawn greys the high windows. Somewhere a shelf creaks awake.',
+  day:   'Daylight settles over the stacks, thin and patient.',
+  dusk:  'Dusk pools in the aisles; the lamps consider lighting themselves.',
+  night: 'Night comes to the Library. The books read more loudly now.'
+};
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+export function phaseAt(hour) {
+  return hour >= 5 && hour < 8 ? 'dawn' : hour >= 8 && hour < 18 ? 'day' : hour >= 18 && hour < 21 ? 'dusk' : 'night';
+}
+
+/**
+ * Stable 0..1 roll for a string (FNV-1a).
+ */
+function roll(key) {
+  let h = 2166136261;
+  for (let i = 0; i < key.length; i++) { h ^= key.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return (h >>> 0) / 4294967296;
+}
+
+function inHours(hour, { from = 0, to = 24 } = {}) {
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+export class Environment {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    this.offset = 0;      // ms added to Date.now() to match the ticked clock
+    this.remote = {};     // room id → state ids from the last tick
+    this.syncedAt = 0;
+    this.timer = null;
+    this.unsub = null;
+    this.seen = null;     // { roomId, phase, states } last announced for the current room
+  }
+
+  // ----- Clock -----
+
+  /**
+   * World time now: { day, hour, minute (of the day), phase }.
+   */
+  clock(now = Date.now()) {
+    const total = Math.floor((now + this.offset) / MINUTE_MS);
+    const minute = total % 1440;
+    const hour = Math.floor(minute / 60);
+    return { day: Math.floor(total / 1440), hour, minute, phase: phaseAt(hour) };
+  }
+
+  /**
+   * A room's environment: its own clock (stopped clocks stay put) and active states.
+   */
+  room(roomId = this.g.state.currentRoom, now = Date.now()) {
+    const env = this.g.roomTemplates[roomId]?.environment || {};
+    const world = this.clock(now);
+    const frozen = typeof env.hour === 'number';
+    const hour = frozen ? env.hour : world.hour;
+    const local = { day: world.day, hour, minute: frozen ? env.hour * 60 : world.minute, phase: phaseAt(hour), frozen };
+    const defs = env.states || {};
+    const ticked = now - this.syncedAt < REMOTE_TTL_MS && Array.isArray(this.remote[roomId]);
+    const states = ticked
+      ? this.remote[roomId].filter(id => defs[id])
+      : Object.keys(defs).filter(id => this._holds(roomId, id, defs[id], local));
+    return { ...local, states };
+  }
+
+  /**
+   * "dusk, fogged mirrors" — for prompts and the time command.
+   */
+  describe(roomId = this.g.state.currentRoom) {
+    const r = this.room(roomId);
+    const defs = this.g.roomTemplates[roomId]?.environment?.states || {};
+    return [r.phase, ...r.states.map(id => defs[id].label || id)].join(', ');
+  }
+
+  /**
+   * Texts of the room's active states (appended to offline descriptions).
+   */
+  texts(roomId = this.g.state.currentRoom) {
+    const defs = this.g.roomTemplates[roomId]?.environment?.states || {};
+    return this.room(roomId).states.map(id => defs[id].text).filter(Boolean);
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `time`: the world clock and this room's environment.
+   */
+  show() {
+    const w = this.clock();
+    const r = this.room();
+    const defs = this.g.roomTemplates[this.g.state.currentRoom]?.environment?.states || {};
+    const at = (h, m) => `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    const lines = [`Library time: ${at(w.hour, w.minute % 60)}, ${w.phase}.`];
+    if (r.frozen) lines.push(`Every clock here says ${at(r.hour, 0)}; it is always ${r.phase} in this room.`);
+    if (r.states.length) lines.push(`Here: ${r.states.map(id => defs[id].label || id).join(', ')}.`);
+    this.g.addOutput(lines.join('\n'));
+  }
+
+  // ----- Running -----
+
+  start() {
+    if (this.timer) return;
+    this.seen = null;
+    this.tick().catch(()=>{});
+    this.timer = setInterval(() => this.tick().catch(()=>{}), TICK_MS);
+    if (this.g.aterna?.enabled && !this.unsub) {
+      this.unsub = this.g.aterna.subscribe(Topics.envTick, msg => this.onTick(msg));
+    }
+  }
+
+  stop() {
+    if (this.timer) { clearInterval(this.timer); this.timer = null; }
+    if (this.unsub) { try { this.unsub(); } catch {} this.unsub = null; }
+  }
+
+  /**
+   * Compare the current room's environment with what was last seen; announce changes
+   * and fire `env` triggers. Entering a room only records its environment.
+   */
+  async tick(now = Date.now()) {
+    const g = this.g;
+    const roomId = g.state.currentRoom;
+    this._render(now);
+    if (g.state.stage !== 'playing' || !roomId) return;
+    const r = this.room(roomId, now);
+    const prev = this.seen;
+    this.seen = { roomId, phase: r.phase, states: r.states };
+    if (!prev || prev.roomId !== roomId) return;
+    const began = r.states.filter(id => !prev.states.includes(id));
+    const ended = prev.states.filter(id => !r.states.includes(id));
+    if (prev.phase === r.phase && !began.length && !ended.length) return;
+
+    const defs = g.roomTemplates[roomId]?.environment?.states || {};
+    if (prev.phase !== r.phase) g.addOutput(PHASE_TEXT[r.phase], 'system-message');
+    for (const id of ended) if (defs[id]?.end) g.addOutput(defs[id].end, 'librarian-voice');
+    for (const id of began) if (defs[id]?.start) g.addOutput(defs[id].start, 'librarian-voice');
+    g.emit('env', { room: roomId, phase: r.phase, states: r.states, began, ended });
+    await fireTriggers(g, 'env');
+    g.saveState();
+  }
+
+  /**
+   * Adopt a tick from Topics.envTick.
+   */
+  onTick(msg) {
+    const d = msg?.content?.data || {};
+    const p = d.payload || {};
+    if (typeof p.minute === 'number') this.offset = p.minute * MINUTE_MS - Date.now();
+    if (p.rooms && typeof p.rooms === 'object') {
+      this.remote = p.rooms;
+      this.syncedAt = Date.now();
+    }
+    if (p.say) this.g.addOutput(p.say, 'system-message');
+    this.tick().catch(()=>{});
+  }
+
+  // ----- Internals -----
+
+  _holds(roomId, id, st, local) {
+    if (!st || typeof st !== 'object') return false;
+    if (st.phase && !list(st.phase).includes(local.phase)) return false;
+    if (st.hours && !inHours(local.hour, st.hours)) return false;
+    if (typeof st.chance === 'number' && roll(`${local.day}:${roomId}:${id}`) >= st.chance) return false;
+    return true;
+  }
+
+  _render(now) {
+    const el = document.getElementById('env-clock');
+    if (!el || !this.g.state.currentRoom) return;
+    const r = this.room(this.g.state.currentRoom, now);
+    const hh = String(r.hour).padStart(2, '0');
+    const mm = String(r.minute % 60).padStart(2, '0');
+    el.textContent = `${hh}:${mm} ${r.frozen ? '(stopped)' : r.phase}`;
+  }
+}
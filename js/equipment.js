@@ -0,0 +1,140 @@
+// js/equipment.js
+// Equipment slots. Items name a `slot` and carry passive `modifiers` while equipped:
+//
+//   shadow_lantern: { …, slot: 'hand', modifiers: { shadow: 0.5 } }
+//
+//   truth | quantum | shadow | insight : fraction added to gains from effects and meditation (0.5 = +50%)
+//   study                              : fraction added to study yield
+//
+// Equipped items stay in the inventory (state.equipped maps slot → item id); losing the last
+// copy empties its slot. Content reveals what gear shows with the `equipped` condition.
+
+export const SLOTS = { hand: 'held', neck: 'worn', focus: 'kept in focus' };
+export const MODIFIER_KEYS = ['truth', 'quantum', 'shadow', 'insight', 'study'];
+
+const pct = n => `${n > 0 ? '+' : ''}${Math.round(n * 100)}%`;
+
+export class Equipment {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+  }
+
+  get data() {
+    return this.g.state.equipped;
+  }
+
+  // ----- Queries -----
+
+  /**
+   * Equipped items in slot order: [{ slot, id, item }].
+   */
+  worn() {
+    return Object.keys(SLOTS).filter(slot => this.data[slot] && this.g.items[this.data[slot]])
+      .map(slot => ({ slot, id: this.data[slot], item: this.g.items[this.data[slot]] }));
+  }
+
+  isEquipped(id) {
+    return Object.values(this.data).includes(id);
+  }
+
+  /**
+   * Total modifier for a key across equipped items.
+   */
+  bonus(key) {
+    return this.worn().reduce((sum, w) => sum + (Number(w.item.modifiers?.[key]) || 0), 0);
+  }
+
+  /**
+   * Scale a gain by equipped modifiers. Losses are never scaled.
+   */
+  boost(key, delta) {
+    return typeof delta === 'number' && delta > 0 ? delta * Math.max(0, 1 + this.bonus(key)) : delta;
+  }
+
+  /**
+   * "holding the Shadow Lantern, wearing the Glyph of Memory" (for prompts), or ''.
+   */
+  describe() {
+    const verb = { hand: 'holding', neck: 'wearing', focus: 'attuned to' };
+    return this.worn().map(w => `${verb[w.slot]} the ${w.item.name}`).join(', ');
+  }
+
+  /**
+   * Short modifier list for an item: "Shadow +50%, Study +25%".
+   */
+  modifierText(item) {
+    return Object.entries(item?.modifiers || {})
+      .filter(([k, v]) => MODIFIER_KEYS.includes(k) && typeof v === 'number' && v)
+      .map(([k, v]) => `${k[0].toUpperCase()}${k.slice(1)} ${pct(v)}`).join(', ');
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `equip <item>`: put it in its slot (swapping out whatever was there).
+   */
+  equip(text) {
+    const g = this.g;
+    if (!text) { this.list(); return; }
+    const id = g.findItemIdByName(text);
+    if (!id || !g.hasItem(id)) { g.addOutput("You don't have that."); return; }
+    const it = g.items[id];
+    if (!SLOTS[it.slot]) { g.addOutput(`The ${it.name} is not something you can equip.`); return; }
+    if (this.data[it.slot] === id) { g.addOutput(`The ${it.name} is already ${SLOTS[it.slot]}.`); return; }
+    const prev = this.data[it.slot];
+    this.data[it.slot] = id;
+    if (prev && g.items[prev]) g.addOutput(`You put away the ${g.items[prev].name}.`);
+    g.addOutput(it.equip_text || `The ${it.name} is now ${SLOTS[it.slot]}.`);
+    const mods = this.modifierText(it);
+    if (mods) g.addOutput(`[${mods}]`, 'system-message');
+    this._changed('equip');
+  }
+
+  /**
+   * `unequip <item|slot>`
+   */
+  unequip(text) {
+    const g = this.g;
+    const low = (text || '').toLowerCase();
+    if (!low) { g.addOutput('Unequip what?'); return; }
+    const id = g.findItemIdByName(low);
+    const slot = SLOTS[low] ? low : Object.keys(this.data).find(s => this.data[s] === id);
+    if (!slot || !this.data[slot]) { g.addOutput("You don't have that equipped."); return; }
+    const name = g.items[this.data[slot]]?.name || this.data[slot];
+    delete this.data[slot];
+    g.addOutput(`You put away the ${name}.`);
+    this._changed('unequip');
+  }
+
+  /**
+   * `equipment`: slots, their items and modifiers.
+   */
+  list() {
+    const lines = ['[Equipment]'];
+    for (const [slot, label] of Object.entries(SLOTS)) {
+      const it = this.g.items[this.data[slot]];
+      const mods = it ? this.modifierText(it) : '';
+      lines.push(`- ${slot}: ${it ? `${it.name}${mods ? ` (${mods})` : ''}` : `nothing ${label}`}`);
+    }
+    this.g.addOutput(lines.join('\n'));
+  }
+
+  /**
+   * Empty any slot whose item has left the inventory (called by removeItem).
+   */
+  release(id) {
+    if (this.g.hasItem(id)) return;
+    for (const slot of Object.keys(this.data)) if (this.data[slot] === id) delete this.data[slot];
+  }
+
+  // ----- Internals -----
+
+  _changed(reason) {
+    this.g.saveState();
+    this.g.updateDisplay();
+    this.g.publishPlayerState(reason).catch(()=>{});
+  }
+}
@@ -0,0 +1,141 @@
+// js/evolution.js
+// Content-driven hero evolution. content.evolution (game.evolutionStages) maps a stage name to the
+// paths leading out of it:
+//
+//   Adept: { paths: [
+//     { to: 'Warden', archetype: ['Warrior', 'Guardian'],
+//       requires: { shadow: 0.6, visited: 'abyss_reading_room' },   // conditions.js DSL
+//       cost: { insight: 40, items: ['shadow_lantern'] },            // paid on evolving
+//       rewards: { effects: { hp: 20 }, flags: ['warden_oath'], unlock_commands: ['scry'], text: '…' } }
+//   ] }
+//
+// A stage with no paths is the end of the written road.
+
+import { describeUnmet } from './conditions.js';
+import { applyEffects } from './effects.js';
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+export class EvolutionEngine {
+  constructor(game) {
+    this.g = game;
+  }
+
+  get stage() {
+    return this.g.state.player?.heroStage || 'Threshold';
+  }
+
+  /**
+   * Paths out of a stage open to the player's archetype.
+   */
+  paths(stage = this.stage) {
+    const entry = this.g.evolutionStages?.[stage];
+    const archetype = this.g.state.player?.archetype;
+    return (entry?.paths || []).filter(p => p?.to && (!p.archetype || list(p.archetype).includes(archetype)));
+  }
+
+  /**
+   * Everything still missing for a path: its conditions plus what its cost would take.
+   */
+  unmet(path) {
+    const lacks = describeUnmet(this.g, path.requires);
+    const cost = path.cost || {};
+    for (const id of list(cost.items)) {
+      if (!this.g.hasItem(id)) lacks.push(this.g.items[id]?.name || id);
+    }
+    if (cost.insight && this.g.state.insight < cost.insight) lacks.push(`${cost.insight} Ξ`);
+    return lacks;
+  }
+
+  ready(path) {
+    return !this.unmet(path).length;
+  }
+
+  /**
+   * `evolve [stage]`: follow the only ready path, or the named one when several branch off.
+   */
+  evolve(target = '') {
+    const from = this.stage;
+    const paths = this.paths(from);
+    if (!paths.length) {
+      this.g.addOutput('No further evolution is visible.');
+      return;
+    }
+
+    let path;
+    if (target) {
+      const low = target.toLowerCase();
+      path = paths.find(p => p.to.toLowerCase() === low) || paths.find(p => p.to.toLowerCase().startsWith(low));
+      if (!path) {
+        this.g.addOutput(`No path leads from ${from} to "${target}". Open paths: ${paths.map(p => p.to).join(', ')}.`);
+        return;
+      }
+    } else {
+      const ready = paths.filter(p => this.ready(p));
+      if (ready.length > 1) {
+        this.g.addOutput(`Your path forks: ${ready.map(p => p.to).join(' or ')}. Choose with evolve <stage>.`);
+        return;
+      }
+      path = ready[0] || (paths.length === 1 ? paths[0] : null);
+      if (!path) {
+        this.g.addOutput(['Evolution requires one of:', ...paths.map(p => `- ${this.describe(p)}`)].join('\n'));
+        return;
+      }
+    }
+
+    const lacks = this.unmet(path);
+    if (lacks.length) {
+      this.g.addOutput(`Evolution to ${path.to} requires: ${lacks.join(', ')}`);
+      return;
+    }
+
+    const cost = path.cost || {};
+    for (const id of list(cost.items)) this.g.removeItem(id);
+    if (cost.insight) this.g.state.insight -= cost.insight;
+
+    const s = this.g.state;
+    s.player.heroStage = path.to;
+    s.evolutionPath = [...(s.evolutionPath || []), { from, to: path.to, at: Date.now() }];
+
+    const rewards = path.rewards || {};
+    for (const f of list(rewards.flags)) this.g.world.setFlag(f);
+    const learned = list(rewards.unlock_commands).filter(v => !s.unlockedCommands.includes(v));
+    s.unlockedCommands.push(...learned);
+
+    this.g.addOutput(`You evolve: ${from} → ${path.to}. Something irreversible rearranges.`);
+    if (rewards.text) this.g.addOutput(rewards.text, 'librarian-voice');
+    if (learned.length) this.g.addOutput(`New command${learned.length > 1 ? 's' : ''}: ${learned.join(', ')}`, 'system-message');
+    if (rewards.effects) {
+      applyEffects(this.g, rewards.effects, 'evolve');
+    } else {
+      this.g.updateDisplay();
+      this.g.publishPlayerState('evolve').catch(()=>{});
+    }
+    this.g.updateMap();
+    this.g.emit('evolve', { stage: path.to, from });
+    this.g.publishRoomEvent(s.currentRoom, {
+      event_type:'evolve',
+      player:this.g.buildPublicPlayerState(),
+      payload:{ new_stage:path.to, from_stage:from }
+    }).catch(()=>{});
+    this.g.saveState();
+  }
+
+  /**
+   * One-line summary of a path and what it still needs.
+   */
+  describe(path) {
+    const lacks = this.unmet(path);
+    const label = path.label ? `${path.to} (${path.label})` : path.to;
+    return lacks.length ? `${label}: needs ${lacks.join(', ')}` : `${label}: ready`;
+  }
+
+  /**
+   * Lines for `progress`: the paths onward from the current stage.
+   */
+  progressLines() {
+    const paths = this.paths();
+    if (!paths.length) return ['Paths onward: none written yet.'];
+    return ['Paths onward:', ...paths.map(p => `- ${this.describe(p)}`)];
+  }
+}
@@ -0,0 +1,266 @@
+// js/exchange.js
+// Player-to-player item transfers over Aterna. `give` is a two-sided handshake on each
+// player's events topic, so an item is never in two inventories at once:
+//
+//   giver                         receiver
+//   give_offer   ───────────────▶ (offer listed; accept / decline)
+//                ◀─────────────── give_accept | give_decline
+//   give_confirm ───────────────▶ item added (once per offer id)
+//                ◀─────────────── give_received | give_abandon
+//
+// The giver's items leave the inventory when offered and are held in state.exchange.outgoing
+// until the receiver reports them received (gone) or the offer is declined, abandoned or lapses
+// unaccepted (returned). A confirmed offer is never returned on the giver's own say: it asks
+// again until the receiver answers. The receiver only adds items on a confirm for an offer it
+// accepted; an accepted offer whose confirm does not come within OFFER_TTL_MS is abandoned,
+// which sends the items back to the giver. Outcomes stay in state.exchange.closed so a repeated
+// confirm gets the same answer and adds nothing.
+
+import { Topics } from './aterna.js';
+
+export const OFFER_TTL_MS = 2 * 60 * 1000;
+const KEEP_CLOSED = 20;
+
+const newId = () => crypto.randomUUID?.() || Math.random().toString(36).slice(2);
+
+export class ItemExchange {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+  }
+
+  get data() {
+    return this.g.state.exchange;
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `give [n] <item> to <player>`: hold the items and send an offer.
+   */
+  async give(itemText, targetText) {
+    const g = this.g;
+    if (!itemText || !targetText) { g.addOutput('Give what, to whom? give <item> to <player>'); return; }
+    this.expire();
+    const { count, name } = g.parseCount(itemText);
+    const id = g.findItemIdByName(name);
+    if (!id || !g.hasItem(id)) { g.addOutput("You don't have that."); return; }
+    const peer = this._peer(targetText);
+    if (!peer) { g.addOutput(`No one called "${targetText}" is here.`); return; }
+
+    const qty = g.removeItem(id, count);
+    const offerId = newId();
+    this.data.outgoing[offerId] = { to: peer.id, toName: peer.name, item: id, qty, at: Date.now() };
+    g.saveState();
+    g.updateDisplay();
+    g.addOutput(`You offer ${g.itemLabel(id, qty)} to ${peer.name}. It stays in your keeping until they accept.`);
+    await this._send(peer.id, 'give_offer', { offer_id: offerId, item: id, name: g.items[id]?.name || id, qty });
+  }
+
+  /**
+   * `accept [player]`: accept a pending offer (the only one, or the one from that player).
+   */
+  async accept(fromText = '') {
+    const [offerId, offer] = this._incoming(fromText);
+    if (!offer) return;
+    if (!this.g.items[offer.item]) {
+      this.g.addOutput(`You cannot hold ${offer.name}: it does not exist in your Library. Declining.`);
+      await this.decline(fromText);
+      return;
+    }
+    offer.status = 'accepted';
+    offer.at = Date.now();
+    this.g.saveState();
+    this.g.addOutput(`You reach for ${offer.name}${offer.qty > 1 ? ` ×${offer.qty}` : ''}…`, 'system-message');
+    await this._send(offer.from, 'give_accept', { offer_id: offerId });
+  }
+
+  async decline(fromText = '') {
+    const [offerId, offer] = this._incoming(fromText);
+    if (!offer) return;
+    delete this.data.incoming[offerId];
+    this.g.saveState();
+    this.g.addOutput(`You decline ${offer.fromName}'s ${offer.name}.`);
+    await this._send(offer.from, 'give_decline', { offer_id: offerId });
+  }
+
+  /**
+   * `offers`: pending gifts both ways.
+   */
+  list() {
+    this.expire();
+    const lines = [];
+    for (const o of Object.values(this.data.incoming)) {
+      lines.push(`- From ${o.fromName}: ${o.name}${o.qty > 1 ? ` ×${o.qty}` : ''}${o.status === 'accepted' ? ' (accepted, arriving)' : ''}`);
+    }
+    for (const o of Object.values(this.data.outgoing)) {
+      lines.push(`- To ${o.toName}: ${this.g.itemLabel(o.item, o.qty)} (${o.status === 'confirmed' ? 'accepted, delivering' : 'held until they answer'})`);
+    }
+    this.g.addOutput(lines.length ? ['[Offers]', ...lines].join('\n') : 'No gifts are pending.');
+  }
+
+  // ----- Incoming events -----
+
+  /**
+   * Handle a give_* event from this player's events topic.
+   */
+  async onEvent(d) {
+    const g = this.g;
+    const from = d.player;
+    const offerId = d.payload?.offer_id;
+    if (!from?.id || !offerId) return;
+    switch (d.event_type) {
+      case 'give_offer': {
+        if (this.data.incoming[offerId]) return;
+        const qty = Math.max(1, Math.floor(d.payload.qty || 1));
+        this.data.incoming[offerId] = { from: from.id, fromName: from.name, item: d.payload.item, name: d.payload.name || d.payload.item, qty, at: Date.now() };
+        g.saveState();
+        g.addOutput(`${from.name} offers you ${d.payload.name || d.payload.item}${qty > 1 ? ` ×${qty}` : ''}. (accept ${from.name} / decline ${from.name})`, 'system-message');
+        break;
+      }
+      case 'give_accept': {
+        const out = this.data.outgoing[offerId];
+        if (!out || out.to !== from.id) return;
+        if (out.status !== 'confirmed') {
+          out.status = 'confirmed';
+          out.at = Date.now();
+          g.saveState();
+          g.addOutput(`${out.toName} accepts ${g.itemLabel(out.item, out.qty)}.`, 'system-message');
+        }
+        await this._send(from.id, 'give_confirm', { offer_id: offerId, item: out.item, qty: out.qty });
+        break;
+      }
+      case 'give_received': {
+        const out = this.data.outgoing[offerId];
+        if (!out || out.to !== from.id) return;
+        delete this.data.outgoing[offerId];
+        g.saveState();
+        g.publishPlayerState('give').catch(()=>{});
+        break;
+      }
+      case 'give_abandon': {
+        const out = this.data.outgoing[offerId];
+        if (out?.to === from.id) this._return(offerId, `Your gift never reached ${out.toName}. ${g.itemLabel(out.item, out.qty)} returns to you.`);
+        break;
+      }
+      case 'give_decline':
+      case 'give_cancel': {
+        const out = this.data.outgoing[offerId];
+        if (d.event_type === 'give_decline' && out?.to === from.id) {
+          this._return(offerId, `${out.toName} declines. ${g.itemLabel(out.item, out.qty)} returns to you.`);
+        }
+        const inc = this.data.incoming[offerId];
+        if (d.event_type === 'give_cancel' && inc?.from === from.id) {
+          delete this.data.incoming[offerId];
+          g.saveState();
+          g.addOutput(`${inc.fromName} withdraws the offer of ${inc.name}.`, 'system-message');
+        }
+        break;
+      }
+      case 'give_confirm': {
+        const done = this.data.closed[offerId];
+        if (done) {
+          if (done.from === from.id) await this._send(from.id, done.outcome === 'received' ? 'give_received' : 'give_abandon', { offer_id: offerId });
+          return;
+        }
+        const inc = this.data.incoming[offerId];
+        if (!inc || inc.from !== from.id || inc.status !== 'accepted') return;
+        this._close(offerId, 'received');
+        g.addItem(inc.item, inc.qty);
+        g.saveState();
+        g.updateDisplay();
+        g.addOutput(`You receive ${g.itemLabel(inc.item, inc.qty)} from ${inc.fromName}.`, 'system-message');
+        g.emit('loot', { item: inc.item });
+        await this._send(from.id, 'give_received', { offer_id: offerId });
+        g.publishPlayerState('give').catch(()=>{});
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Lapse stale offers: unanswered outgoing ones return (telling the receiver), confirmed ones
+   * are confirmed again, unanswered incoming ones are forgotten and accepted ones that never
+   * arrived are abandoned back to the giver.
+   */
+  expire(now = Date.now()) {
+    for (const [offerId, out] of Object.entries(this.data.outgoing)) {
+      if (now - out.at < OFFER_TTL_MS) continue;
+      if (out.status === 'confirmed') {
+        out.at = now;
+        this.g.saveState();
+        this._send(out.to, 'give_confirm', { offer_id: offerId, item: out.item, qty: out.qty }).catch(()=>{});
+        continue;
+      }
+      this._return(offerId, `Your offer to ${out.toName} lapses. ${this.g.itemLabel(out.item, out.qty)} returns to you.`);
+      this._send(out.to, 'give_cancel', { offer_id: offerId }).catch(()=>{});
+    }
+    for (const [offerId, inc] of Object.entries(this.data.incoming)) {
+      if (now - inc.at < OFFER_TTL_MS) continue;
+      if (inc.status === 'accepted') {
+        this._close(offerId, 'abandoned');
+        this.g.saveState();
+        this.g.addOutput(`${inc.name} from ${inc.fromName} never arrived; it goes back to them.`, 'system-message');
+        this._send(inc.from, 'give_abandon', { offer_id: offerId }).catch(()=>{});
+      } else {
+        delete this.data.incoming[offerId];
+      }
+    }
+  }
+
+  // ----- Internals -----
+
+  _return(offerId, text) {
+    const out = this.data.outgoing[offerId];
+    if (!out) return;
+    delete this.data.outgoing[offerId];
+    this.g.addItem(out.item, out.qty);
+    this.g.saveState();
+    this.g.updateDisplay();
+    this.g.addOutput(text, 'system-message');
+  }
+
+  /**
+   * Settle an incoming offer, remembering how for a repeated confirm.
+   */
+  _close(offerId, outcome) {
+    const inc = this.data.incoming[offerId];
+    delete this.data.incoming[offerId];
+    const closed = this.data.closed;
+    closed[offerId] = { outcome, from: inc.from, at: Date.now() };
+    for (const id of Object.keys(closed).sort((a, b) => closed[a].at - closed[b].at).slice(0, -KEEP_CLOSED)) delete closed[id];
+  }
+
+  _peer(token) {
+    const low = token.toLowerCase();
+    for (const [id, p] of this.g.roomPeers) {
+      if (p.name?.toLowerCase().startsWith(low)) return { id, name: p.name };
+    }
+    return null;
+  }
+
+  _incoming(fromText) {
+    this.expire();
+    const low = (fromText || '').toLowerCase();
+    const pending = Object.entries(this.data.incoming).filter(([, o]) => !o.status && (!low || o.fromName.toLowerCase().startsWith(low)));
+    if (pending.length === 1) return pending[0];
+    this.g.addOutput(pending.length
+      ? `Several offers are waiting: name the giver (${pending.map(([, o]) => o.fromName).join(', ')}).`
+      : 'No one is offering you anything.');
+    return [];
+  }
+
+  async _send(playerId, event_type, payload) {
+    if (!this.g.aterna?.enabled) return;
+    await this.g.aterna.publishEvent(Topics.playerEvents(playerId), {
+      event_type,
+      room_id: this.g.state.currentRoom,
+      player: this.g.buildPublicPlayerState(),
+      payload
+    });
+  }
+}
@@ -6,6 +6,28 @@ import { AIClient } from './ai.js';
 import { loadContent } from './content.js';
 import { AternaClient, Topics } from './aterna.js';
 import { BooksEngine } from './books.js';
+import { EvolutionEngine } from './evolution.js';
+import { NpcEngine } from './npcs.js';
+import { QuestEngine } from './quests.js';
+import { WorldEditor } from './editor.js';
+import { WorldState, emptyWorld } from './world.js';
+import { ItemExchange } from './exchange.js';
+import { CraftingEngine } from './crafting.js';
+import { Equipment } from './equipment.js';
+import { Environment } from './environment.js';
+import { RoomSync } from './roomsync.js';
+import { Economy } from './economy.js';
+import { Trading } from './trading.js';
+import { Combat } from './combat.js';
+import { EncounterEngine } from './encounters.js';
+import { Vitality, MAX_HP, MEDITATE_HP } from './vitality.js';
+import { parseInput, parseCommand, DIRECTIONS } from './parser.js';
+import { registerCoreCommands, Requirements } from './commands.js';
+import { CommandLine } from './cli.js';
+import { meetsConditions } from './conditions.js';
+import { validateContent, formatDiagnostics } from './validate.js';
+import { applyEffects } from './effects.js';
+import { fireTriggers } from './triggers.js';
 
 /**
  * Main game class tying together AI, Aterna pub/sub, dynamic books,
@@ -35,6 +57,7 @@ export class QuantumTruthMUD {
     this.playerId = localStorage.getItem('qmud_player_id') || null;
     this.roomUnsub = null;
     this.roomPeers = new Map();
+    this.presented = null; // our public state as peers last saw it (presence / move)
     this._hb = null; // heartbeat interval
 
     // Game state
@@ -45,23 +68,75 @@ export class QuantumTruthMUD {
       visitedRooms: new Set(),
       actionCount: 0,
       history: [],
-      inventory: [],
+      inventory: {},        // item id → count
+      equipped: {},         // slot → item id (see js/equipment.js)
       insight: 0,
       hp: 100,
       quantumState: { coherence: 0, entanglement: [], superposition: 0 },
       truthDensity: 0.5,
       shadowIntegration: 0,
       creationData: { observations: [], currentScene: 0, startTime: Date.now() },
-      bookSession: null // dynamic book reading session
+      bookSession: null, // dynamic book reading session
+      completedBooks: [],
+      consumed: {},         // item id → times used
+      unlockedCommands: [],
+      knownRecipes: [],     // recipe ids learned (recipes with known: true need no entry)
+      evolutionPath: [],    // [{ from, to, at }]
+      visitCounts: {},      // room id → times entered
+      firedTriggers: {},    // once-only trigger key → timestamp
+      world: emptyWorld(),  // room item changes, revealed exits, flags (see js/world.js)
+      conversation: null,   // { npc, node } while talking to an NPC
+      quests: {},           // quest id → { status, step, startedAt, doneAt, talked }
+      exchange: { outgoing: {}, incoming: {}, closed: {} }, // pending gifts by offer id, settled ones (see js/exchange.js)
+      trade: { session: null, closed: {} },      // open player trade and recent outcomes (see js/trading.js)
+      encounter: null,      // { id, room, hp, round, guard, seed } while a foe is here (see js/encounters.js)
+      defeated: {},         // encounter id → last defeat timestamp
+      downed: null,         // { at, cause, room } while at 0 HP (see js/vitality.js)
+      boundRoom: null,      // sanctuary to respawn in (default: entrance)
+      restedAt: 0
     };
 
+    // Dev mode (?dev in the URL or localStorage qmud_dev=1) shows content diagnostics
+    this.devMode = new URLSearchParams(location.search).has('dev') || localStorage.getItem('qmud_dev') === '1';
+    this.diagnostics = [];
+
     // Content placeholders
+    this.packs = [];
     this.roomTemplates = {};
     this.creationScenes = []; // fix: must be an array (showCreationScene uses .length)
     this.items = {};
+    this.evolutionStages = {};
+    this.npcTemplates = {};
+    this.questTemplates = {};
+    this.recipes = {};
+    this.encounterTemplates = {};
+
+    // Local game events (move, loot, craft, evolve, book_page, talk, action, env, defeat) for in-browser subsystems
+    this.listeners = new Map();
 
-    // Instantiate Book engine
+    // Instantiate Book, Evolution, NPC and Quest engines
     this.books = new BooksEngine(this);
+    this.evolution = new EvolutionEngine(this);
+    this.npcs = new NpcEngine(this);
+    this.quests = new QuestEngine(this);
+    this.editor = new WorldEditor(this);
+    this.world = new WorldState(this);
+    this.exchange = new ItemExchange(this);
+    this.crafting = new CraftingEngine(this);
+    this.equipment = new Equipment(this);
+    this.env = new Environment(this);
+    this.roomSync = new RoomSync(this);
+    this.economy = new Economy(this);
+    this.trading = new Trading(this);
+    this.combat = new Combat(this);
+    this.encounters = new EncounterEngine(this);
+    this.vitality = new Vitality(this);
+
+    // Command registry (verb/alias → spec) and specs in registration order
+    this.commands = new Map();
+    this.commandSpecs = [];
+    registerCoreCommands(this);
+    this.cli = new CommandLine(this);
 
     // Instantiate AI client
     this.ai = new AIClient(
@@ -78,11 +153,8 @@ export class QuantumTruthMUD {
    * Initialize game: load content, hydrate settings, set up Aterna, attach UI listeners, auto-load save.
    */
   async init() {
-    // Load rooms, items, scenes (allow overrides)
-    const content = await loadContent();
-    this.roomTemplates = content.rooms;
-    this.creationScenes = content.scenes;
-    this.items = content.items;
+    // Load rooms, items, scenes (packs + overrides)
+    await this.reloadContent();
 
     // Hydrate OpenAI API key
     const savedKey = localStorage.getItem('qmud_api_key');
@@ -171,6 +243,9 @@ export class QuantumTruthMUD {
       });
     }
 
+    // History, reverse search and Tab completion on the command box
+    this.cli.attach(document.getElementById('command-input'), document.getElementById('command-hint'));
+
     // Mouse tracking for quantum overlay
     document.addEventListener('mousemove', e => {
       const display = document.getElementById('image-display');
@@ -195,6 +270,97 @@ export class QuantumTruthMUD {
     }
   }
 
+  // ================= Content packs ==================
+
+  /**
+   * Per-pack enable/disable choices from the setup screen ({ [packId]: boolean }).
+   */
+  packPrefs() {
+    try { return JSON.parse(localStorage.getItem('qmud_packs') || '{}') || {}; } catch { return {}; }
+  }
+
+  /**
+   * (Re)load content with the current pack choices, validate it and refresh the pack list.
+   */
+  async reloadContent() {
+    const content = await loadContent({ prefs: this.packPrefs() });
+    this.roomTemplates = content.rooms;
+    this.creationScenes = content.scenes;
+    this.items = content.items;
+    this.evolutionStages = content.evolution;
+    this.npcTemplates = content.npcs;
+    this.questTemplates = content.quests;
+    this.recipes = content.recipes;
+    this.encounterTemplates = content.encounters;
+    this.packs = content.packs;
+    this.diagnostics = validateContent(content);
+    this.renderDiagnostics();
+    this.renderPackList();
+  }
+
+  /**
+   * The content currently in play, optionally with some sections swapped (used by the world editor).
+   */
+  contentSnapshot(overrides = {}) {
+    return {
+      rooms: this.roomTemplates,
+      scenes: this.creationScenes,
+      items: this.items,
+      evolution: this.evolutionStages,
+      npcs: this.npcTemplates,
+      quests: this.questTemplates,
+      recipes: this.recipes,
+      encounters: this.encounterTemplates,
+      ...overrides
+    };
+  }
+
+  /**
+   * Re-run the validator over the content in play (after hot edits).
+   */
+  revalidate() {
+    this.diagnostics = validateContent(this.contentSnapshot());
+    this.renderDiagnostics();
+  }
+
+  /**
+   * Enable or disable a pack and reload content (setup screen only).
+   */
+  async setPackEnabled(id, enabled) {
+    const prefs = this.packPrefs();
+    prefs[id] = !!enabled;
+    localStorage.setItem('qmud_packs', JSON.stringify(prefs));
+    if (this.state.stage === 'setup') await this.reloadContent();
+  }
+
+  renderPackList() {
+    const el = document.getElementById('pack-list');
+    if (!el) return;
+    el.innerHTML = '';
+    if (!this.packs?.length) {
+      const p = document.createElement('p');
+      p.className = 'tiny';
+      p.textContent = 'No packs.json found — playing the core Library.';
+      el.appendChild(p);
+      return;
+    }
+    for (const pack of this.packs) {
+      const label = document.createElement('label');
+      label.className = 'pack-row';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = pack.enabled;
+      box.addEventListener('change', () => this.setPackEnabled(pack.id, box.checked));
+      const text = document.createElement('span');
+      const ns = pack.namespace ? ` · ${pack.namespace}:` : '';
+      const status = pack.enabled && !pack.loaded ? ' · failed to load' : '';
+      text.textContent = `${pack.name} (${pack.mode}${ns})${status}`;
+      label.appendChild(box);
+      label.appendChild(text);
+      el.appendChild(label);
+    }
+  }
+
   // ================= Setup / Start ==================
 
   /**
@@ -259,6 +425,31 @@ export class QuantumTruthMUD {
     this.showCreationScene(0); 
   }
 
+  /**
+   * Index of the scene with this id (scenes without ids answer to `scene_<index>`), or -1.
+   */
+  creationSceneIndex(id) {
+    return this.creationScenes.findIndex((sc, i) => (sc.id || `scene_${i}`) === id);
+  }
+
+  /**
+   * Name-input scenes are flagged `name_input` (older packs marked a choice with `input`).
+   */
+  isNameScene(scene) {
+    return !!scene?.name_input || !!scene?.choices?.some(c => c.input);
+  }
+
+  /**
+   * Where a choice leads: its own `next`, the scene's `next`, else the following scene.
+   * "end" (or an unknown id) finishes creation.
+   */
+  nextCreationScene(index, choice) {
+    const next = choice.next ?? this.creationScenes[index].next;
+    if (next === undefined || next === null) return index + 1;
+    const to = next === 'end' ? -1 : this.creationSceneIndex(next);
+    return to < 0 ? this.creationScenes.length : to;
+  }
+
   /**
    * Render a creation scene and attach handlers.
    */
@@ -273,57 +464,59 @@ export class QuantumTruthMUD {
     textEl.textContent = scene.text; 
     choicesEl.innerHTML = '';
 
-    if (scene.choices[0]?.input) {
-      const input = document.createElement('input');
+    let input = null;
+    if (this.isNameScene(scene)) {
+      input = document.createElement('input');
       input.type = 'text'; 
       input.className = 'api-input'; 
       input.placeholder = 'Your true name…'; 
       input.style.marginBottom = '10px';
       choicesEl.appendChild(input);
-      scene.choices.forEach(choice => {
-        const btn = document.createElement('button');
-        btn.className = 'choice-btn';
-        btn.textContent = choice.text;
-        btn.onclick = () => {
-          const value = choice.value === 'named' ? (input.value || 'Unnamed') : '[SILENCE]';
-          this.recordCreationChoice(index, choice.value, value);
-          this.showCreationScene(index + 1);
-        };
-        choicesEl.appendChild(btn);
-      });
-    } else {
-      scene.choices.forEach(choice => {
-        const btn = document.createElement('button');
-        btn.className = 'choice-btn';
-        btn.textContent = choice.text;
-        btn.onclick = () => {
-          this.recordCreationChoice(index, choice.value);
-          this.showCreationScene(index + 1);
-        };
-        choicesEl.appendChild(btn);
-      });
     }
+    scene.choices.forEach(choice => {
+      const btn = document.createElement('button');
+      btn.className = 'choice-btn';
+      btn.textContent = choice.text;
+      btn.onclick = () => {
+        const extra = input ? (choice.input ? (input.value || 'Unnamed') : '[SILENCE]') : null;
+        this.recordCreationChoice(scene.id || `scene_${index}`, choice.value, extra);
+        this.showCreationScene(this.nextCreationScene(index, choice));
+      };
+      choicesEl.appendChild(btn);
+    });
   }
 
   /**
    * Record choice during character creation.
    */
-  recordCreationChoice(sceneIndex, value, extra=null) {
+  recordCreationChoice(sceneId, value, extra=null) {
     this.state.creationData.observations.push({
-      scene: sceneIndex, choice: value, extra,
+      scene: sceneId, choice: value, extra,
       timestamp: Date.now() - this.state.creationData.startTime
     });
   }
 
+  /**
+   * Observations paired with the scene and choice they refer to (looked up by scene id and value).
+   */
+  creationChoices(observations) {
+    return observations.map(o => {
+      const i = typeof o.scene === 'number' ? o.scene : this.creationSceneIndex(o.scene);
+      const scene = this.creationScenes[i];
+      return { obs: o, scene, choice: scene?.choices?.find(c => c.value === o.choice) || null };
+    });
+  }
+
   /**
    * Finalize character and proceed to game.
    */
   async finalizeCharacter() {
-    const obs = this.state.creationData.observations;
+    const picks = this.creationChoices(this.state.creationData.observations);
+    const named = picks.filter(p => this.isNameScene(p.scene) && p.obs.extra).pop();
     const trueForm = {
-      name: obs[4]?.extra || 'Seeker',
-      archetype: this.deriveArchetype(obs),
-      shadowLevel: this.deriveShadowLevel(obs),
+      name: named?.obs.extra || 'Seeker',
+      archetype: this.deriveArchetype(picks),
+      shadowLevel: this.deriveShadowLevel(picks),
       quantumSignature: Math.random(),
       truthDensity: 0.5,
       heroStage: 'Threshold'
@@ -331,18 +524,18 @@ export class QuantumTruthMUD {
     this.state.player = trueForm;
     this.state.currentRoom = 'entrance';
 
-    if (obs[0]?.choice === 'contemplative') this.state.quantumState.coherence += 0.1;
-    if (obs[1]?.choice === 'shadow-seeker') this.state.shadowIntegration += 0.2;
-    if (obs[2]?.choice === 'integrated') this.state.shadowIntegration += 0.3;
-    if (obs[3]?.choice === 'full-integration') this.state.shadowIntegration -= 0.2;
-    this.state.shadowIntegration = clamp01(this.state.shadowIntegration + 0.5);
-
     // Ensure stable playerId
     if (!this.playerId) {
       this.playerId = crypto.randomUUID?.() || Math.random().toString(36).slice(2);
       localStorage.setItem('qmud_player_id', this.playerId);
     }
 
+    // Shadow starts at its midpoint; each choice's effects move the new hero from there
+    this.state.shadowIntegration = 0.5;
+    for (const { choice } of picks) {
+      if (choice?.effects) applyEffects(this, choice.effects, 'creation');
+    }
+
     // Set Aterna sender and publish initial state
     if (this.aterna?.enabled) {
       this.aterna.sender = `${this.state.player.name}#${this.playerId.slice(0,6)}`;
@@ -358,20 +551,26 @@ export class QuantumTruthMUD {
   }
 
   /**
-   * Determine archetype from first scene choice.
+   * Determine archetype from the summed `archetype` weights of the chosen options
+   * (a bare string counts as weight 1; the earliest leader wins ties).
    */
-  deriveArchetype(observations) {
-    const m = { active:'Warrior', contemplative:'Sage', intuitive:'Mystic', cautious:'Guardian' };
-    return m[observations[0]?.choice] || 'Wanderer';
+  deriveArchetype(picks) {
+    const totals = new Map();
+    for (const { choice } of picks) {
+      const w = choice?.archetype;
+      const weights = typeof w === 'string' ? { [w]: 1 } : (w && typeof w === 'object' ? w : {});
+      for (const [name, n] of Object.entries(weights)) totals.set(name, (totals.get(name) || 0) + (Number(n) || 0));
+    }
+    let best = 'Wanderer', top = 0;
+    for (const [name, n] of totals) if (n > top) { best = name; top = n; }
+    return best;
   }
 
   /**
-   * Determine initial shadow level.
+   * Determine initial shadow level from the chosen options' `shadow_level` deltas.
    */
-  deriveShadowLevel(observations) {
-    let s = 0;
-    if (observations[2]?.choice === 'integrated') s += 0.3;
-    if (observations[3]?.choice === 'rejection') s += 0.4;
+  deriveShadowLevel(picks) {
+    const s = picks.reduce((sum, { choice }) => sum + (Number(choice?.shadow_level) || 0), 0);
     return clamp01(s + 0.5);
   }
 
@@ -388,6 +587,7 @@ export class QuantumTruthMUD {
     this.state.stage = 'playing';
     this.updateDisplay();
     this.enterRoom('entrance');
+    this.startSession();
 
     // Show Librarian welcome
     if (this.librarianMessage) {
@@ -406,6 +606,20 @@ export class QuantumTruthMUD {
     });
   }
 
+  /**
+   * Per-session wiring, for a new game and a restored save alike. Safe to call twice.
+   */
+  startSession() {
+    // Directed events (gift and trade handshakes) arrive on this player's own events topic; vendor trades are shared
+    if (this.aterna?.enabled && !this.playerUnsub) {
+      this.playerUnsub = this.aterna.subscribe(Topics.playerEvents(this.playerId), msg => this.onPlayerEvent(msg));
+      this.tradesUnsub = this.aterna.subscribe(Topics.trades, msg => this.economy.onTrade(msg));
+    }
+    this.exchange.expire();
+    this.trading.expire();
+    this.env.start();
+  }
+
   /**
    * Rate-limiting guard for AI calls.
    */
@@ -447,13 +661,17 @@ export class QuantumTruthMUD {
 
   /**
    * Enter a room: handle subscriptions, presence, UI updates, AI description.
+   * `resume` re-renders a loaded save's room without counting a visit or firing triggers.
    */
-  async enterRoom(roomId) {
+  async enterRoom(roomId, { resume = false } = {}) {
     const room = this.roomTemplates[roomId];
     if (!room) return;
     const prevRoom = this.state.currentRoom;
+    if (prevRoom !== roomId && this.state.conversation) this.npcs.end();
+    this.encounters.leave(roomId);
     this.state.currentRoom = roomId;
     this.state.visitedRooms.add(roomId);
+    if (!resume) this.state.visitCounts[roomId] = (this.state.visitCounts[roomId] || 0) + 1;
     this.addOutput(`\n[${room.name}]`, 'room-name');
 
     // Multiplayer: presence and subscriptions
@@ -462,9 +680,10 @@ export class QuantumTruthMUD {
       if (this.roomUnsub) { try { this.roomUnsub(); } catch {} this.roomUnsub = null; }
       this.roomUnsub = this.subscribeRoomStreams(roomId);
       await this.publishPresence(roomId, 'join');
+      this.roomSync.join(roomId);
       await this.publishRoomEvent(roomId, {
         event_type:'move',
-        player:this.buildPublicPlayerState(),
+        player:this.presented,
         payload:{ from_room: prevRoom || null }
       });
       await this.publishPlayerState('move');
@@ -481,15 +700,26 @@ export class QuantumTruthMUD {
     }
 
     // Show items
-    const items = (room.items || []).filter(id => !this.state.inventory.includes(id));
+    const items = this.roomItems(roomId);
     if (items.length) this.addOutput(`You notice: ${items.map(id => this.items[id]?.name || id).join(', ')}`);
+    const present = this.npcs.here(roomId);
+    if (present.length) this.addOutput(`Here: ${present.map(n => n.name).join(', ')}`);
 
     // Show exits
-    const exits = Object.keys(room.exits || {});
-    if (exits.length) this.addOutput(`\nPaths: ${exits.join(', ')}`);
+    this.showExits(roomId);
+
+    // Record the new room's environment so only later changes are announced
+    this.env.tick().catch(()=>{});
+
+    // Room triggers (on enter)
+    if (!resume) {
+      await fireTriggers(this, 'enter');
+      this.emit('move', { room: roomId, from: prevRoom || null });
+    }
 
-    // Apply room effects
-    this.applyQuantumEffects(room);
+    // Encounters: one left here waits; a new one may appear
+    await this.encounters.check(roomId, { spawn: !resume });
+    this.vitality.remind(); // only a loaded save enters a room while down
     this.updateDisplay();
     this.updateMap();
     this.saveState();
@@ -499,7 +729,9 @@ export class QuantumTruthMUD {
    * Generate image for current room, using AI with caching.
    */
   async generateRoomImage(roomId) {
-    const cacheKey = `${roomId}_${Math.floor(this.state.truthDensity*10)}_${Math.floor(this.state.quantumState.coherence*10)}_${Math.floor(this.state.shadowIntegration*10)}_${this.imageModel}`;
+    const gear = this.equipment.describe();
+    const env = this.env.describe(roomId);
+    const cacheKey = `${roomId}_${Math.floor(this.state.truthDensity*10)}_${Math.floor(this.state.quantumState.coherence*10)}_${Math.floor(this.state.shadowIntegration*10)}_${Object.values(this.state.equipped).sort().join('+')}_${env}_${this.imageModel}`;
     if (this.imageCache.has(cacheKey)) {
       document.getElementById('room-image').src = this.imageCache.get(cacheKey);
       return;
@@ -515,6 +747,8 @@ export class QuantumTruthMUD {
       `${room.basePrompt}, truth density ${this.state.truthDensity>0.7?'high luminous':this.state.truthDensity<0.3?'dark shadowy':'twilight uncertain'}, ` +
       `quantum coherence ${this.state.quantumState.coherence>0.5?'stable reality':'reality fragmenting'}, ` +
       `shadow level ${this.state.shadowIntegration>0.5?'shadows visible and active':'shadows lurking hidden'}, ` +
+      `environment: ${env}, ` +
+      (gear ? `seen by a figure ${gear}, ` : '') +
       `literary style: ${room.literary}, photorealistic, cinematic lighting, mysterious atmosphere`;
 
     try {
@@ -538,7 +772,9 @@ export class QuantumTruthMUD {
    * Generate AI description for room.
    */
   async generateRoomDescription(roomId) {
-    const key = `${roomId}:${Math.round(this.state.truthDensity*10)}:${Math.round(this.state.quantumState.coherence*10)}:${Math.round(this.state.shadowIntegration*10)}:${this.textModel}`;
+    const gear = this.equipment.describe();
+    const env = this.env.describe(roomId);
+    const key = `${roomId}:${Math.round(this.state.truthDensity*10)}:${Math.round(this.state.quantumState.coherence*10)}:${Math.round(this.state.shadowIntegration*10)}:${Object.values(this.state.equipped).sort().join('+')}:${env}:${this.textModel}`;
     if (this.descCache.has(key)) {
       this.addOutput(this.descCache.get(key), 'librarian-voice');
       return;
@@ -548,6 +784,8 @@ export class QuantumTruthMUD {
       `As the Quantum Librarian, describe ${room.name} for ${this.state.player.name}. ` +
       `Literary style: ${room.literary}. Player state: Truth ${this.state.truthDensity}, ` +
       `Quantum ${this.state.quantumState.coherence}, Shadow ${this.state.shadowIntegration}. ` +
+      `Environment now: ${env}. ` +
+      (gear ? `They are ${gear}; let the room respond to it. ` : '') +
       `Make it personal to their journey; show how the room reflects their inner state. Keep it atmospheric and under 150 words.`;
     try {
       const description = await this.ai.callLLM(prompt);
@@ -561,20 +799,19 @@ export class QuantumTruthMUD {
   }
 
   /**
-   * Fallback description when AI disabled.
+   * Fallback description when AI disabled: the room's authored `description`
+   * followed by every `descriptionVariants` entry whose `when` holds and the
+   * text of each active environment state.
    */
   getOfflineRoomDescription(roomId) {
-    const d = {
-      entrance: "The Library entrance thrums with potential. Doors exist and don't exist simultaneously.",
-      hall_of_mirrors: 'Infinite reflections cascade through impossible geometries. Each shows a different you.',
-      garden_of_forking_paths: 'Every step creates new timelines. You see yourself walking paths not taken.',
-      shadow_archive: 'Your shadow moves independently here, browsing shelves of fears and forgotten dreams.',
-      tea_room: "Time stopped at 6 o'clock. Empty chairs wait for aspects of yourself.",
-      quantum_laboratory: 'Reality equations float mid-air. A cat prowls between existence and void.',
-      oracle_chamber: 'Ancient wisdom merges with quantum uncertainty. All answers are true until observed.',
-      abyss_reading_room: 'Books of unwritten stories line the walls. The void reads you as you read it.'
-    };
-    return d[roomId] || 'The room defies description.';
+    const room = this.roomTemplates[roomId];
+    if (!room?.description) return 'The room defies description.';
+    const lines = [room.description];
+    for (const v of room.descriptionVariants || []) {
+      if (v?.text && meetsConditions(this, v.when)) lines.push(v.text);
+    }
+    lines.push(...this.env.texts(roomId));
+    return lines.join(' ');
   }
 
   // ================= Command Processing =================
@@ -583,6 +820,7 @@ export class QuantumTruthMUD {
    * Process user input (main entrypoint).
    * ALL commands go through processOffline for game logic.
    * AI is only used for specific scene generation, not command interpretation.
+   * Input may chain several commands with `;` — each runs in order.
    */
   async processCommand() {
     const input = document.getElementById('command-input');
@@ -598,9 +836,11 @@ export class QuantumTruthMUD {
 
     // Always process commands through game logic
     // Never send raw commands to AI for interpretation
-    await this.processOffline(command);
+    for (const cmd of parseInput(command)) {
+      await this.processOffline(cmd);
+    }
 
-    this.evolveQuantumState(command);
+    this.evolveQuantumState(command.toLowerCase());
     this.updateDisplay();
     this.processingCommand = false;
     input.disabled = false;
@@ -610,131 +850,116 @@ export class QuantumTruthMUD {
   /**
    * Process commands - handles ALL game logic
    * Only calls AI for specific scene generation needs (room descriptions, book content)
+   * @param {object|string} command - parsed command from parser.js (or raw text)
    */
   async processOffline(command) {
-    const words = command.toLowerCase().split(' ');
-    const verb = words[0];
-    const target = words.slice(1).join(' ');
-
-    switch (verb) {
-      // Movement
-      case 'go': case 'move': case 'walk':
-        await this.handleMovement(target);
-        break;
-
-      // Look / examine - these can use AI for descriptions
-      case 'look': case 'examine':
-        await this.handleLook(target);
-        break;
-
-      // Meditation & stats
-      case 'meditate':
-        this.handleMeditate();
-        break;
-      case 'stats':
-        this.showStats();
-        break;
-
-      // Map toggling
-      case 'map':
-        this.toggleMap();
-        break;
+    const parsed = typeof command === 'string' ? parseCommand(command) : command;
+    const { spec, cmd } = this.resolveCommand(parsed);
+    if (!spec) {
+      // For unrecognized commands, if AI is enabled, get a contextual response
+      if (this.aiEnabled) {
+        await this.processUnknownWithAI(parsed.raw);
+      } else {
+        this.addOutput('The Library remains silent.');
+      }
+      return;
+    }
+    if (this.vitality.downed && !spec.whileDown) {
+      this.addOutput('You are down and cannot do that. (respawn)');
+      return;
+    }
+    if (this.isCommandLocked(spec)) {
+      this.addOutput('You sense the shape of that art, but you have not yet evolved into it.');
+      return;
+    }
+    for (const req of spec.requires) {
+      const r = Requirements[req];
+      if (r && !r.test(this)) {
+        this.addOutput(r.message);
+        return;
+      }
+    }
+    await spec.handler(cmd, this);
+    this.emit('action', { verb: spec.verbs[0] }); // the primary verb, whatever alias was typed
+  }
 
-      // Help & resets & saves
-      case 'help':
-        this.showHelp();
-        break;
-      case 'reset':
-        this.resetGameConfirm();
-        break;
-      case 'save':
-        this.exportSave();
-        break;
-      case 'load':
-        document.getElementById('import-file').click();
-        break;
+  // ================= Local events =================
 
-      // Items & inventory
-      case 'take':
-        this.handleTake(target);
-        break;
-      case 'use':
-        this.handleUse(target);
-        break;
-      case 'inventory': case 'inv':
-        this.showInventory();
-        break;
-
-      // Shop
-      case 'shop':
-        this.showShop();
-        break;
-      case 'buy':
-        await this.buyItem(target);
-        break;
-      case 'sell':
-        await this.sellItem(target);
-        break;
+  /**
+   * Listen for a local game event. Returns an unsubscribe function.
+   */
+  on(type, fn) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(fn);
+    return () => this.listeners.get(type)?.delete(fn);
+  }
 
-      // Learning & evolution
-      case 'learn': case 'study':
-        this.study();
-        break;
-      case 'evolve':
-        this.tryEvolve();
-        break;
+  /**
+   * Notify local listeners; a failing listener never breaks the command that emitted.
+   */
+  emit(type, data = {}) {
+    for (const fn of this.listeners.get(type) || []) {
+      try { fn(data); } catch (e) { console.error(`[qmud] ${type} listener failed`, e); }
+    }
+  }
 
-      // Progress
-      case 'progress':
-        this.showProgress();
-        break;
+  // ================= Command registry =================
 
-      // Multiplayer
-      case 'who':
-        this.cmdWho();
-        break;
-      case 'say':
-        await this.cmdSay(target);
-        break;
-      case 'attack':
-        await this.cmdAttack(target);
-        break;
-
-      // Books - these use AI for content generation
-      case 'books':
-        this.books.list();
-        break;
-      case 'read':
-      case 'open':
-        await this.books.open(target);
-        break;
-      case 'choose':
-        await this.books.choose(target);
-        break;
-      case 'ask':
-        await this.books.ask(target);
-        break;
-      case 'draw':
-        await this.books.draw();
-        break;
-      case 'book':
-        await this._dispatchBookSubcommand(words.slice(1));
-        break;
+  /**
+   * Register a verb (plus aliases) with its handler and help metadata.
+   * Multi-word verbs ("book close") take precedence over their first word.
+   * Later registrations of the same verb replace earlier ones.
+   * @param {object} spec
+   * @param {string[]|string} spec.verbs - primary verb(s); the first is shown in help
+   * @param {string[]} [spec.aliases] - extra verbs not listed in the help summary
+   * @param {string} [spec.usage] - e.g. "take <item>"
+   * @param {string} [spec.summary] - one line shown by `help <verb>`
+   * @param {string} [spec.category] - help group
+   * @param {string[]} [spec.requires] - keys of Requirements checked before dispatch
+   * @param {string[]} [spec.complete] - keys of Completers offered by Tab after the verb
+   * @param {boolean} [spec.hidden] - omit from the `help` summary
+   * @param {string} [spec.unlock] - name an evolution reward must unlock before the verb works (or shows in help)
+   * @param {boolean} [spec.whileDown] - still works at 0 HP (see js/vitality.js)
+   * @param {(cmd: object, game: QuantumTruthMUD) => any} spec.handler
+   */
+  registerCommand({ verbs, aliases = [], usage = '', summary = '', category = 'Other', requires = [], complete = [], hidden = false, unlock = null, whileDown = false, handler }) {
+    const primary = [].concat(verbs || []).map(v => v.toLowerCase());
+    if (!primary.length || typeof handler !== 'function') {
+      throw new TypeError('registerCommand needs verbs and a handler');
+    }
+    const spec = {
+      verbs: primary,
+      aliases: aliases.map(v => v.toLowerCase()),
+      usage: usage || primary[0],
+      summary, category, hidden, unlock, whileDown, handler,
+      requires: [].concat(requires),
+      complete: [].concat(complete)
+    };
+    for (const v of [...spec.verbs, ...spec.aliases]) this.commands.set(v, spec);
+    this.commandSpecs = this.commandSpecs.filter(s => [...s.verbs, ...s.aliases].some(v => this.commands.get(v) === s));
+    this.commandSpecs.push(spec);
+    return spec;
+  }
 
-      // Redraw room image
-      case 'redraw':
-        await this.refreshRoomVisuals({ reDescribe: true, forceRegenerate: true });
-        break;
+  /**
+   * True while a command's `unlock` has not been granted by an evolution reward.
+   */
+  isCommandLocked(spec) {
+    return !!spec?.unlock && !this.state.unlockedCommands?.includes(spec.unlock);
+  }
 
-      default:
-        // For unrecognized commands, if AI is enabled, get a contextual response
-        if (this.aiEnabled) {
-          await this.processUnknownWithAI(command);
-        } else {
-          this.addOutput('The Library remains silent.');
-        }
-        break;
+  /**
+   * Find the spec for a parsed command. Two-word verbs are re-parsed so the
+   * handler sees the remainder after the sub-verb as its object.
+   */
+  resolveCommand(cmd) {
+    const sub = cmd.args[0];
+    if (sub) {
+      const key = `${cmd.verb} ${sub}`;
+      const spec = this.commands.get(key);
+      if (spec) return { spec, cmd: { ...parseCommand(cmd.text), verb: key, raw: cmd.raw } };
     }
+    return { spec: this.commands.get(cmd.verb) || null, cmd };
   }
 
   /**
@@ -768,70 +993,131 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     }
   }
 
+  // ---------- Help ----------
+
   /**
-   * Dispatch subcommands for "book" verb.
+   * Show generated help: all categories, or the commands matching a topic.
    */
-  async _dispatchBookSubcommand(args) {
-    const sub = (args[0] || '').toLowerCase();
-    const rest = args.slice(1).join(' ');
-    switch (sub) {
-      case 'open':
-        await this.books.open(rest);
-        break;
-      case 'close':
-        this.books.close();
-        break;
-      case 'resume':
-        this.books.resume();
-        break;
-      case 'summary':
-        this.books.summary();
-        break;
-      case 'ask':
-        await this.books.ask(rest);
-        break;
-      case 'choose':
-        await this.books.choose(rest);
-        break;
-      case 'draw':
-        await this.books.draw();
-        break;
-      default:
-        this.addOutput('Book commands: book open <n>, book close, book resume, book summary, book ask <q>, book choose <n|id>, book draw');
+  showHelp(topic = '') {
+    const visible = this.commandSpecs.filter(s => !s.hidden && !this.isCommandLocked(s));
+    if (!topic) {
+      const groups = new Map();
+      for (const spec of visible) {
+        if (!groups.has(spec.category)) groups.set(spec.category, []);
+        groups.get(spec.category).push(spec.usage);
+      }
+      const lines = ['Commands:'];
+      for (const [cat, usages] of groups) lines.push(`- ${cat}: ${usages.join(', ')}`);
+      lines.push(`Chain commands with ';' (use tea; go n). Quote multi-word names: take "mirror shard". Try help <command>.`);
+      this.addOutput(lines.join('\n'));
+      return;
     }
-  }
-
-  // ---------- Help ----------
-  showHelp() {
-    this.addOutput(
-      `Commands:
-- Movement: go <n|s|e|w>, map
-- Observe: look, look self, meditate, stats
-- Items: take <item>, use <item>, inventory|inv
-- Shop (when vendor present): shop, buy <item>, sell <item>
-- Learning/Money: learn|study (gain Ξ Insight)
-- Evolution: evolve (consume items/Ξ to advance stage)
-- Multiplayer: who, say <text>, attack <n>
-- Books: books, read <book>, choose <n|id>, ask <question>, draw, book close|resume|summary
-- Progress/Saves: progress, save, load, reset, redraw (force regenerate room art)`
-    );
+    const matches = visible.filter(s => [...s.verbs, ...s.aliases].some(v => v === topic || v.startsWith(`${topic} `)));
+    if (!matches.length) {
+      this.addOutput(`No help for "${topic}".`);
+      return;
+    }
+    const lines = [];
+    for (const spec of matches) {
+      lines.push(spec.summary ? `${spec.usage} — ${spec.summary}` : spec.usage);
+      if (spec.aliases.length) lines.push(`  aliases: ${spec.aliases.join(', ')}`);
+      if (spec.requires.length) lines.push(`  requires: ${spec.requires.join(', ')}`);
+    }
+    this.addOutput(lines.join('\n'));
   }
 
   // ================= Command handlers =================
 
   async handleMovement(direction) {
-    const room = this.roomTemplates[this.state.currentRoom];
     if (!direction) {
       this.addOutput('Which path will you take?');
       return;
     }
-    const shortcuts = { n:'north', s:'south', e:'east', w:'west' };
-    direction = shortcuts[direction] || direction;
-    if (room?.exits?.[direction]) {
-      await this.enterRoom(room.exits[direction]);
-    } else {
+    direction = DIRECTIONS[direction] || direction;
+    const exit = this.getExit(this.state.currentRoom, direction);
+    if (!exit || !this.isExitVisible(exit)) {
       this.addOutput(`There is no path ${direction} from here.`);
+      return;
     }
+    const refusal = this.exitRefusal(exit);
+    if (refusal) {
+      this.addOutput(refusal);
+      return;
+    }
+    const blocked = this.movementBlocked();
+    if (blocked) {
+      this.addOutput(blocked);
+      return;
+    }
+    await this.enterRoom(exit.to);
+  }
+
+  /**
+   * Why the player cannot walk (or fast-travel) away right now, or null.
+   */
+  movementBlocked() {
+    if (this.vitality.downed) return 'You are down and cannot move. (respawn)';
+    if (this.encounters.def?.behaviour?.aggressive) return `${this.encounters.def.name} bars your way. (attack, defend or flee)`;
+    return null;
+  }
+
+  // ---------- Exits ----------
+  // room.exits values are either a room id or an object:
+  //   { to, key: 'item_id', when: {condition}, reveal: {condition}, message: 'refusal text' }
+  // `key` must be carried and `when` must hold to pass; `reveal` hides the exit until it holds.
+
+  /**
+   * Normalized exit in a room, or null.
+   */
+  getExit(roomId, dir) {
+    const raw = this.roomTemplates[roomId]?.exits?.[dir];
+    if (!raw) return null;
+    if (typeof raw === 'string') return { dir, to: raw, from: roomId };
+    return raw.to ? { ...raw, dir, from: roomId } : null;
+  }
+
+  /**
+   * Exits with `hidden: true` stay out of sight until a trigger reveals them;
+   * `reveal` conditions are an alternative way in.
+   */
+  isExitVisible(exit) {
+    if (this.world.isRevealed(exit.from, exit.dir)) return true;
+    if (exit.hidden) return false;
+    return !exit.reveal || meetsConditions(this, exit.reveal);
+  }
+
+  /**
+   * Permanently reveal an exit (trigger action).
+   */
+  revealExit(roomId, dir) {
+    if (!this.world.reveal(roomId, dir)) return;
+    this.updateMap();
+    this.roomSync.changed(roomId, [{ op: 'reveal', dir }]);
+  }
+
+  /**
+   * Refusal text if the exit is locked or its conditions fail, else null.
+   */
+  exitRefusal(exit) {
+    const lacksKey = exit.key && !this.hasItem(exit.key);
+    if (!lacksKey && meetsConditions(this, exit.when)) return null;
+    if (exit.message) return exit.message;
+    if (lacksKey) return `The way ${exit.dir} is sealed. It wants the ${this.items[exit.key]?.name || exit.key}.`;
+    return `The way ${exit.dir} does not yet recognize you.`;
+  }
+
+  /**
+   * Exits the player can currently perceive in a room.
+   */
+  visibleExits(roomId) {
+    return Object.keys(this.roomTemplates[roomId]?.exits || {})
+      .map(dir => this.getExit(roomId, dir))
+      .filter(e => e && this.isExitVisible(e));
+  }
+
+  showExits(roomId = this.state.currentRoom) {
+    const exits = this.visibleExits(roomId);
+    if (exits.length) this.addOutput(`\nPaths: ${exits.map(e => this.exitRefusal(e) ? `${e.dir} (sealed)` : e.dir).join(', ')}`);
   }
 
   async handleLook(target) {
@@ -842,26 +1128,55 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       } else {
         this.addOutput(this.getOfflineRoomDescription(this.state.currentRoom));
       }
+      await fireTriggers(this, 'look');
+      this.showExits();
       return;
     }
     if (['self','me','character'].includes(target)) {
       this.showStats();
-    } else {
+      return;
+    }
+    const foe = this.encounters.describe(target);
+    if (foe) {
+      this.addOutput(foe);
+      return;
+    }
+    const npc = this.npcs.find(target);
+    if (npc) {
+      this.addOutput(npc.desc || `${npc.name} returns your look.`);
+      return;
+    }
+    const id = this.findItemIdByName(target);
+    const here = id && (this.hasItem(id) || this.roomItems(this.state.currentRoom).includes(id));
+    if (!here) {
       this.addOutput('You see only echoes of intention.');
+      return;
     }
+    const it = this.items[id];
+    this.addOutput(it.desc ? `${it.name}: ${it.desc}` : `${it.name}.`);
+    await fireTriggers(this, 'look', { item: id });
   }
 
   handleMeditate() {
     this.addOutput('You close your eyes and feel the quantum field…');
-    this.state.quantumState.coherence = Math.min(1, this.state.quantumState.coherence + 0.1);
-    this.state.truthDensity = Math.min(1, this.state.truthDensity + 0.05);
+    this.state.quantumState.coherence = Math.min(1, this.state.quantumState.coherence + this.equipment.boost('quantum', 0.1));
+    this.state.truthDensity = Math.min(1, this.state.truthDensity + this.equipment.boost('truth', 0.05));
     this.addOutput('Your consciousness expands.');
+    const healed = this.vitality.recover(MEDITATE_HP, 'meditate');
+    if (healed) this.addOutput(`[+${healed} HP]`, 'system-message');
     this.publishPlayerState('meditate').catch(()=>{});
   }
 
   showStats() {
     this.addOutput(`You are ${this.state.player.name}, the ${this.state.player.archetype}.`);
     this.addOutput(`Truth: ${(this.state.truthDensity*100).toFixed(0)}% — Quantum: ${(this.state.quantumState.coherence*100).toFixed(0)}% — Shadow: ${(this.state.shadowIntegration*100).toFixed(0)}%`);
+    const gear = this.equipment.worn();
+    if (gear.length) {
+      this.addOutput(`Gear: ${gear.map(w => {
+        const mods = this.equipment.modifierText(w.item);
+        return `${w.item.name} (${w.slot}${mods ? `; ${mods}` : ''})`;
+      }).join(', ')}`);
+    }
   }
 
   toggleMap() {
@@ -870,15 +1185,45 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
   }
 
   // Items & inventory
-  hasItem(id) { return this.state.inventory.includes(id); }
-  addItem(id) {
-    if (!this.items[id]) return false;
-    if (!this.hasItem(id)) this.state.inventory.push(id);
+  /**
+   * Items lying in a room (world state), known content only.
+   */
+  roomItems(roomId) {
+    return this.world.roomItems(roomId).filter(id => this.items[id]);
+  }
+  itemCount(id) { return this.state.inventory[id] || 0; }
+  hasItem(id, n = 1) { return this.itemCount(id) >= n; }
+  inventoryIds() { return Object.keys(this.state.inventory).filter(id => this.state.inventory[id] > 0); }
+  addItem(id, n = 1) {
+    if (!this.items[id] || n < 1) return false;
+    this.state.inventory[id] = this.itemCount(id) + n;
     return true;
   }
-  removeItem(id) {
-    const i = this.state.inventory.indexOf(id);
-    if (i >= 0) this.state.inventory.splice(i,1);
+  /**
+   * Remove up to n of an item; returns how many were removed.
+   */
+  removeItem(id, n = 1) {
+    const had = this.itemCount(id);
+    const gone = Math.min(had, n);
+    if (had - gone > 0) this.state.inventory[id] = had - gone;
+    else delete this.state.inventory[id];
+    if (gone) this.equipment.release(id);
+    return gone;
+  }
+  /**
+   * "2 tea" → { count: 2, name: 'tea' }; "all tea" → { count: Infinity, … } (callers clamp it).
+   */
+  parseCount(text) {
+    const m = String(text || '').trim().match(/^(\d+|all)\s+(.+)$/i);
+    if (!m) return { count: 1, name: String(text || '').trim() };
+    return { count: m[1].toLowerCase() === 'all' ? Infinity : Math.max(1, parseInt(m[1], 10)), name: m[2] };
+  }
+  /**
+   * "Tea of Clarity ×2"
+   */
+  itemLabel(id, n = this.itemCount(id)) {
+    const name = this.items[id]?.name || id;
+    return n > 1 ? `${name} ×${n}` : name;
   }
   findItemIdByName(name) {
     const n = (name || '').toLowerCase();
@@ -897,31 +1242,46 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     return true;
   }
 
-  handleTake(target) {
+  async handleTake(target) {
     if (!target) {
       this.addOutput('Take what?');
       return;
     }
-    const room = this.roomTemplates[this.state.currentRoom];
-    const pool = (room.items || []).filter(id => !this.state.inventory.includes(id));
-    const id = this.findItemIdByName(target) || pool.find(pid => (this.items[pid]?.name || pid).toLowerCase().includes(target.toLowerCase()));
+    const { count, name } = this.parseCount(target);
+    const pool = this.roomItems(this.state.currentRoom);
+    const id = this.findItemIdByName(name) || pool.find(pid => (this.items[pid]?.name || pid).toLowerCase().includes(name.toLowerCase()));
     if (!id || !pool.includes(id)) {
       this.addOutput('There is nothing like that to take.');
       return;
     }
-    this.addItem(id);
-    room.items = (room.items || []).filter(x => x !== id);
-    this.addOutput(`You take the ${this.items[id].name}.`);
+    // Unique items are claimed first so two players cannot both take them
+    const roomId = this.state.currentRoom;
+    if (this.items[id].unique && this.roomSync.enabled) {
+      this.addOutput(`You reach for the ${this.items[id].name}…`);
+      const winner = await this.roomSync.claim(roomId, id);
+      if (winner || !this.roomItems(roomId).includes(id)) {
+        this.addOutput(`${winner || 'Someone'}'s hand closes on the ${this.items[id].name} first.`);
+        return;
+      }
+    }
+    let n = 0;
+    const at = Date.now();
+    while (n < count && this.world.takeItem(roomId, id, at)) n++;
+    this.roomSync.changed(roomId, [{ op: 'take', item: id, n, at }]);
+    this.addItem(id, n);
+    this.addOutput(`You take ${n > 1 ? this.itemLabel(id, n) : `the ${this.items[id].name}`}.`);
+    await fireTriggers(this, 'take', { item: id });
+    this.emit('loot', { item: id });
     // Publish loot to Aterna
     this.publishRoomEvent(this.state.currentRoom, {
       event_type:'loot',
       player: this.buildPublicPlayerState(),
-      payload:{ item: this.items[id]?.name || id }
+      payload:{ item: this.items[id]?.name || id, qty: n }
     }).catch(()=>{});
     this.publishPlayerState('loot').catch(()=>{});
   }
 
-  handleUse(target) {
+  async handleUse(target, on = null) {
     if (!target) {
       this.addOutput('Use what?');
       return;
@@ -936,47 +1296,75 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       this.books.openById(id);
       return;
     }
+    if (it.type === 'consumable') {
+      this.consumeItem(it);
+      this.removeItem(id);
+      await fireTriggers(this, 'use', { item: id, on });
+      return;
+    }
+    // Scripted uses replace the generic responses below
+    if (await fireTriggers(this, 'use', { item: id, on })) return;
     switch (it.type) {
-      case 'consumable':
-        this.consumeItem(it);
-        this.removeItem(id);
-        break;
       case 'evolution':
-        this.addOutput(`You attune to the ${it.name}. Its purpose may be ritual, not immediate.`);
+        if (on) this.addOutput(`You hold the ${it.name} to the ${on}. Nothing answers — yet.`);
+        else if (it.slot && !this.equipment.isEquipped(id)) this.equipment.equip(it.name);
+        else if (it.slot) this.addOutput(`The ${it.name} is already with you, working quietly. (unequip to put it away)`);
+        else this.addOutput(`You attune to the ${it.name}. Its purpose may be ritual, not immediate.`);
         break;
       default:
         this.addOutput('Nothing obvious happens.');
     }
   }
 
+  /**
+   * Consume an item: print its use_text and apply its declarative effects.
+   */
   consumeItem(it) {
-    if (it.id === 'tea_clarity') {
-      this.addOutput('Warmth clears the noise.');
-      this.state.truthDensity = clamp01(this.state.truthDensity + 0.08);
-    } else if (it.id === 'cat_paradox') {
-      this.addOutput('A purr, and all states purr with it.');
-      this.state.quantumState.coherence = clamp01(this.state.quantumState.coherence + 0.10);
-    } else if (it.id === 'ink_of_nyx') {
-      this.addOutput('Night gathers in the nib, drawing your shadow nearer.');
-      this.state.shadowIntegration = clamp01(this.state.shadowIntegration + 0.10);
-    } else if (it.id === 'folio_notes') {
-      this.addOutput('You annotate the margins with yourself.');
-      this.grantInsight(8);
+    this.state.consumed[it.id] = (this.state.consumed[it.id] || 0) + 1;
+    if (it.use_text) this.addOutput(it.use_text);
+    if (it.effects && Object.keys(it.effects).length) {
+      applyEffects(this, it.effects, 'consume');
     } else {
-      this.addOutput('You feel… marginally altered.');
+      if (!it.use_text) this.addOutput('You feel… marginally altered.');
+      this.updateDisplay();
+      this.publishPlayerState('consume').catch(()=>{});
     }
-    this.updateDisplay();
-    this.publishPlayerState('consume').catch(()=>{});
   }
 
   showInventory() {
-    if (!this.state.inventory.length) {
+    const ids = this.inventoryIds();
+    if (!ids.length) {
       this.addOutput('Your pockets are full of potential, not objects.');
     } else {
-      this.addOutput(`Inventory: ${this.state.inventory.map(id => this.items[id]?.name || id).join(', ')}`);
+      this.addOutput(`Inventory: ${ids.map(id => `${this.itemLabel(id)}${this.equipment.isEquipped(id) ? ' (equipped)' : ''}`).join(', ')}`);
     }
   }
 
+  async handleDrop(target) {
+    if (!target) {
+      this.addOutput('Drop what?');
+      return;
+    }
+    const { count, name } = this.parseCount(target);
+    const id = this.findItemIdByName(name);
+    if (!id || !this.hasItem(id)) {
+      this.addOutput("You don't have that.");
+      return;
+    }
+    const n = this.removeItem(id, count);
+    const at = Date.now();
+    for (let i = 0; i < n; i++) this.world.dropItem(this.state.currentRoom, id, at);
+    this.roomSync.changed(this.state.currentRoom, [{ op: 'drop', item: id, n, at }]);
+    this.addOutput(`You set down ${n > 1 ? this.itemLabel(id, n) : `the ${this.items[id].name}`}.`);
+    this.publishRoomEvent(this.state.currentRoom, {
+      event_type:'drop',
+      player: this.buildPublicPlayerState(),
+      payload:{ item: this.items[id]?.name || id, qty: n }
+    }).catch(()=>{});
+    this.publishPlayerState('drop').catch(()=>{});
+    this.saveState();
+  }
+
   // Shop & vendor
   currentVendor() {
     const room = this.roomTemplates[this.state.currentRoom];
@@ -989,13 +1377,18 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       this.addOutput('No vendor here.');
       return;
     }
+    const roomId = this.state.currentRoom;
     const lines = [`[${v.name} — Bazaar of Proofs]`, `You have ${this.state.insight} Ξ.`];
     for (const g of v.goods) {
       const it = this.items[g.item];
-      lines.push(`- ${it.name} — ${g.price} Ξ :: ${it.desc}`);
+      const price = this.economy.buyPrice(roomId, g.item);
+      const stock = this.economy.stock(roomId, g.item);
+      const left = !isFinite(stock) ? '' : stock > 0 ? ` (${stock} left)` : ' (sold out)';
+      lines.push(`- ${it.name} — ${price} Ξ ${this.economy.trend(roomId, g.item, price)}${left} :: ${it.desc}`);
     }
-    lines.push('Use: buy <item>, sell <item>');
+    lines.push('Use: buy <item>, sell <item>  (▲ ▼ since you last looked)');
     this.addOutput(lines.join('\n'));
+    this.saveState();
   }
 
   async buyItem(target) {
@@ -1004,7 +1397,8 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       this.addOutput('No vendor here.');
       return;
     }
-    const id = this.findItemIdByName(target);
+    const { count, name } = this.parseCount(target);
+    const id = this.findItemIdByName(name);
     if (!id) {
       this.addOutput('Name it clearly.');
       return;
@@ -1014,18 +1408,31 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       this.addOutput('Not sold here.');
       return;
     }
-    if (!this.spendInsight(g.price)) {
+    if (!isFinite(count)) {
+      this.addOutput('Name how many: buy 2 <item>.');
+      return;
+    }
+    const roomId = this.state.currentRoom;
+    const stock = this.economy.stock(roomId, id);
+    if (stock < count) {
+      this.addOutput(stock > 0 ? `${v.name} has only ${stock} left.` : `${v.name} is out of ${this.items[id].name}. Come back later.`);
+      return;
+    }
+    const price = this.economy.quote(roomId, id, count, 'buy');
+    if (!this.spendInsight(price)) {
       this.addOutput('Not enough Ξ.');
       return;
     }
-    this.addItem(id);
-    this.addOutput(`Purchased ${this.items[id].name} for ${g.price} Ξ.`);
+    this.economy.trade(roomId, id, count, 'buy');
+    this.addItem(id, count);
+    this.addOutput(`Purchased ${this.itemLabel(id, count)} for ${price} Ξ.`);
     this.updateDisplay();
+    this.saveState();
     try {
       await this.aterna?.publishEvent(Topics.trades, {
         event_type:'buy',
         player: this.buildPublicPlayerState(),
-        payload:{ item:this.items[id]?.name, price:g.price }
+        payload:{ item:this.items[id]?.name, item_id:id, vendor:roomId, price, qty:count, seq:++this.economy.seq }
       });
     } catch {}
     this.publishPlayerState('trade').catch(()=>{});
@@ -1037,23 +1444,26 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       this.addOutput('No vendor here.');
       return;
     }
-    const id = this.findItemIdByName(target);
+    const { count, name } = this.parseCount(target);
+    const id = this.findItemIdByName(name);
     if (!id || !this.hasItem(id)) {
       this.addOutput("You don't have that.");
       return;
     }
     const it = this.items[id];
-    const base = it.price || 0;
-    const p = Math.max(1, Math.floor(base * (v.sellbackRate ?? 0.5)));
-    this.removeItem(id);
+    const roomId = this.state.currentRoom;
+    const n = this.removeItem(id, count);
+    const p = this.economy.quote(roomId, id, n, 'sell');
+    this.economy.trade(roomId, id, n, 'sell');
     this.grantInsight(p);
-    this.addOutput(`Sold ${it.name} for ${p} Ξ.`);
+    this.addOutput(`Sold ${this.itemLabel(id, n)} for ${p} Ξ.`);
     this.updateDisplay();
+    this.saveState();
     try {
       await this.aterna?.publishEvent(Topics.trades, {
         event_type:'sell',
         player: this.buildPublicPlayerState(),
-        payload:{ item:it.name, price:p }
+        payload:{ item:it.name, item_id:id, vendor:roomId, price:p, qty:n, seq:++this.economy.seq }
       });
     } catch {}
     this.publishPlayerState('trade').catch(()=>{});
@@ -1063,7 +1473,7 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
   study() {
     const base = 4;
     const bonus = Math.round(4 * (this.state.truthDensity + this.state.quantumState.coherence));
-    const gain = base + bonus;
+    const gain = Math.round((base + bonus) * Math.max(0, 1 + this.equipment.bonus('study')));
     this.grantInsight(gain);
     this.addOutput('You study. The stacks yield a little more of you back.');
     this.updateDisplay();
@@ -1071,59 +1481,32 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
   }
 
   // Evolution
-  evolutionPlan() {
-    return {
-      Threshold:{ need:[{id:'mirror_shard'}, {insight:10}], next:'Initiate', gain:{ truth:+0.05 } },
-      Initiate: { need:[{id:'quantum_key'}, {insight:25}, {truth:0.60}], next:'Adept', gain:{ quantum:+0.05 } },
-      Adept:    { need:[{id:'shadow_lantern'}, {insight:40}, {shadow:0.60}], next:'Scholar', gain:{ shadow:+0.05 } },
-      Scholar:  { need:[{id:'glyph_memory'}, {insight:80}, {quantum:0.70}], next:'Oracle', gain:{ truth:+0.05, quantum:+0.05 } }
-    };
+  tryEvolve(target = '') {
+    this.evolution.evolve(target);
   }
 
-  tryEvolve() {
-    const stage = this.state.player.heroStage || 'Threshold';
-    const plan = this.evolutionPlan()[stage];
-    if (!plan) {
-      this.addOutput('No further evolution is visible.');
-      return;
-    }
-    const lacks = [];
-    for (const req of plan.need) {
-      if (req.id && !this.hasItem(req.id)) lacks.push(this.items[req.id].name);
-      if (req.insight && this.state.insight < req.insight) lacks.push(`${req.insight} Ξ`);
-      if (req.truth && this.state.truthDensity < req.truth) lacks.push(`Truth≥${Math.round(req.truth*100)}%`);
-      if (req.quantum && this.state.quantumState.coherence < req.quantum) lacks.push(`Quantum≥${Math.round(req.quantum*100)}%`);
-      if (req.shadow && this.state.shadowIntegration < req.shadow) lacks.push(`Shadow≥${Math.round(req.shadow*100)}%`);
-    }
-    if (lacks.length) {
-      this.addOutput(`Evolution requires: ${lacks.join(', ')}`);
+  /**
+   * Evolution-unlocked sight: name the rooms and loose items beyond each visible exit.
+   */
+  scry() {
+    const exits = this.visibleExits(this.state.currentRoom);
+    if (!exits.length) {
+      this.addOutput('Your sight finds no path to follow.');
       return;
     }
-
-    for (const req of plan.need) {
-      if (req.id) this.removeItem(req.id);
-      if (req.insight) this.state.insight -= req.insight;
+    const lines = ['You close your eyes and the walls thin:'];
+    for (const e of exits) {
+      const room = this.roomTemplates[e.to];
+      const items = this.roomItems(e.to).map(id => this.items[id]?.name || id);
+      lines.push(`- ${e.dir}: ${room?.name || e.to}${items.length ? ` — ${items.join(', ')}` : ''}`);
     }
-
-    if (plan.gain.truth) this.state.truthDensity = clamp01(this.state.truthDensity + plan.gain.truth);
-    if (plan.gain.quantum) this.state.quantumState.coherence = clamp01(this.state.quantumState.coherence + plan.gain.quantum);
-    if (plan.gain.shadow) this.state.shadowIntegration = clamp01(this.state.shadowIntegration + plan.gain.shadow);
-
-    this.state.player.heroStage = plan.next;
-    this.addOutput(`You evolve: ${stage} → ${plan.next}. Something irreversible rearranges.`);
-    this.updateDisplay();
-    this.publishRoomEvent(this.state.currentRoom, {
-      event_type:'evolve',
-      player:this.buildPublicPlayerState(),
-      payload:{ new_stage:plan.next }
-    }).catch(()=>{});
-    this.publishPlayerState('evolve').catch(()=>{});
+    this.addOutput(lines.join('\n'), 'librarian-voice');
   }
 
   // Progress
   showProgress() {
     const visited = this.state.visitedRooms.size;
-    const inv = this.state.inventory.map(id => this.items[id]?.name || id).join(', ') || '—';
+    const inv = this.inventoryIds().map(id => this.itemLabel(id)).join(', ') || '—';
     const lines = [
       `[Progress]`,
       `Stage: ${this.state.player.heroStage}`,
@@ -1131,7 +1514,9 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       `HP: ${this.state.hp}`,
       `Rooms visited: ${visited}`,
       `Actions: ${this.state.actionCount}`,
-      `Inventory: ${inv}`
+      `Inventory: ${inv}`,
+      `Books finished: ${this.state.completedBooks.length}`,
+      ...this.evolution.progressLines()
     ];
     this.addOutput(lines.join('\n'));
   }
@@ -1151,7 +1536,11 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       shadow: this.state.shadowIntegration,
       insight: this.state.insight,
       room: this.state.currentRoom || null,
-      hp: this.state.hp ?? 100
+      hp: this.state.hp ?? 100,
+      archetype: this.state.player?.archetype || 'Wanderer',
+      gear: this.equipment.worn().map(w => w.item.name),
+      equipped: { ...this.state.equipped },
+      nonce: this.combat.nonce
     };
   }
 
@@ -1175,7 +1564,7 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     const t = evt.event_type;
     const topic =
       t === 'chat'   ? Topics.roomChat(roomId) :
-      t === 'attack' || t === 'heal' ? Topics.roomCombat(roomId) :
+      t === 'attack' || t === 'defend' || t === 'heal' ? Topics.roomCombat(roomId) :
       Topics.roomUpdates(roomId);
     await this.aterna.publishEvent(topic, { ...evt, room_id: roomId });
   }
@@ -1185,15 +1574,18 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
    */
   async publishPresence(roomId, kind) {
     if (!this.aterna?.enabled) return;
+    if (kind !== 'leave') this.combat.rotate();
+    const player = this.buildPublicPlayerState();
+    if (kind !== 'leave') this.presented = player;
     await this.aterna.publishEvent(Topics.roomPresence(roomId), {
       event_type: kind,
       room_id: roomId,
-      player: this.buildPublicPlayerState()
+      player
     });
   }
 
   /**
-   * Subscribe to room-specific streams: updates, combat, presence, chat.
+   * Subscribe to room-specific streams: updates, combat, presence, chat, shared room state.
    */
   subscribeRoomStreams(roomId) {
     const unsubs = [];
@@ -1201,6 +1593,7 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     unsubs.push(this.aterna.subscribe(Topics.roomCombat(roomId),  msg => this.onRoomEvent(msg)));
     unsubs.push(this.aterna.subscribe(Topics.roomPresence(roomId),msg => this.onPresence(msg)));
     unsubs.push(this.aterna.subscribe(Topics.roomChat(roomId),    msg => this.onRoomEvent(msg)));
+    unsubs.push(this.aterna.subscribe(Topics.roomState(roomId),   msg => this.roomSync.onEvent(msg)));
     return () => unsubs.forEach(u => { try { u(); } catch {} });
   }
 
@@ -1212,18 +1605,13 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     const kind = d.event_type;
     if (!d.player) return;
     const p = d.player;
-    this.roomPeers.set(p.id, {
-      name:p.name,
-      hp:p.hp ?? 100,
-      stage:p.stage,
-      lastSeen: Date.now()
-    });
+    this.roomPeers.set(p.id, { ...p, hp:p.hp ?? 100, lastSeen: Date.now() });
     if (kind === 'join') this.addOutput(`${p.name} enters.`, 'system-message');
     if (kind === 'leave') this.addOutput(`${p.name} departs.`, 'system-message');
   }
 
   /**
-   * Handle room events (chat, move, attack, loot, evolve).
+   * Handle room events (chat, move, attack, defend, loot, evolve).
    */
   onRoomEvent(msg) {
     const d = msg?.content?.data || {};
@@ -1233,22 +1621,23 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
         break;
       case 'move':
         if (d.player) {
-          this.roomPeers.set(d.player.id, {
-            name:d.player.name,
-            hp:d.player.hp ?? 100,
-            stage:d.player.stage,
-            lastSeen: Date.now()
-          });
+          this.roomPeers.set(d.player.id, { ...d.player, hp:d.player.hp ?? 100, lastSeen: Date.now() });
         }
         break;
       case 'attack':
-        this.applyCombatEvent(d);
+      case 'defend':
+        this.combat.onEvent(d);
         break;
       case 'loot':
         if (d.player && d.payload?.item) {
           this.addOutput(`${d.player.name} acquires ${d.payload.item}.`);
         }
         break;
+      case 'drop':
+        if (d.player && d.payload?.item) {
+          this.addOutput(`${d.player.name} sets down ${d.payload.item}${d.payload.qty > 1 ? ` ×${d.payload.qty}` : ''}.`);
+        }
+        break;
       case 'evolve':
         if (d.player && d.payload?.new_stage) {
           this.addOutput(`${d.player.name} evolves to ${d.payload.new_stage}.`, 'system-message');
@@ -1259,6 +1648,16 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     }
   }
 
+  /**
+   * Handle events addressed to this player (give and trade handshakes).
+   */
+  onPlayerEvent(msg) {
+    const d = msg?.content?.data || {};
+    if (d.player?.id === this.playerId) return;
+    if (String(d.event_type).startsWith('give_')) this.exchange.onEvent(d).catch(()=>{});
+    else if (String(d.event_type).startsWith('trade_')) this.trading.onEvent(d);
+  }
+
   /**
    * List who is present.
    */
@@ -1292,63 +1691,6 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     });
   }
 
-  /**
-   * Attack another player by name (prefix match).
-   */
-  async cmdAttack(targetStr) {
-    if (!this.aterna?.enabled) {
-      this.addOutput('Combat requires Aterna.');
-      return;
-    }
-    if (!targetStr) {
-      this.addOutput('Attack whom?');
-      return;
-    }
-    const target = Array.from(this.roomPeers.values()).find(p => p.name.toLowerCase().startsWith(targetStr.toLowerCase()));
-    if (!target) {
-      this.addOutput('No such target.');
-      return;
-    }
-    const me = this.buildPublicPlayerState();
-    const dmg = 3 + ((me.name.length + target.name.length + (Date.now() >> 10)) % 8);
-    await this.publishRoomEvent(this.state.currentRoom, {
-      event_type:'attack',
-      player: me,
-      target:{ name: target.name },
-      payload:{ dmg }
-    });
-    this.addOutput(`You strike ${target.name} for ${dmg}.`);
-  }
-
-  /**
-   * Apply combat damage event to peers and self.
-   */
-  applyCombatEvent(evt) {
-    const from = evt.player;
-    const toName = evt.target?.name;
-    const dmg = evt.payload?.dmg;
-    if (!from || !toName || !dmg) return;
-    for (const [id, p] of this.roomPeers.entries()) {
-      if (p.name === toName) {
-        p.hp = Math.max(0, (p.hp ?? 100) - dmg);
-        this.roomPeers.set(id, p);
-        if (p.hp === 0) {
-          this.addOutput(`${p.name} falls.`, 'system-message');
-        } else {
-          this.addOutput(`${from.name} hits ${p.name} for ${dmg}.`);
-        }
-        break;
-      }
-    }
-    const meName = this.state.player?.name;
-    if (toName === meName) {
-      this.addOutput(`[You take ${dmg} damage]`, 'system-message');
-      this.state.hp = Math.max(0, (this.state.hp ?? 100) - dmg);
-      this.publishPlayerState('damage').catch(()=>{});
-      this.updateDisplay();
-    }
-  }
-
   // ================= Systems & stats =================
 
   buildContext() {
@@ -1364,11 +1706,6 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     };
   }
 
-  applyQuantumEffects(room) {
-    if (room.literary === 'science') this.state.quantumState.coherence = Math.min(1, this.state.quantumState.coherence + 0.05);
-    if (room.name.includes('Shadow')) this.state.shadowIntegration = Math.min(1, this.state.shadowIntegration + 0.02);
-  }
-
   evolveQuantumState(action) {
     this.state.quantumState.coherence *= 0.99;
     if (/\bthink\b|\bobserve\b/.test(action)) this.state.quantumState.coherence += 0.01;
@@ -1404,6 +1741,13 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     document.getElementById('token-count').textContent = this.tokenCount;
     const ic = document.getElementById('insight-count');
     if (ic) ic.textContent = this.state.insight.toString();
+    const hp = this.state.hp ?? MAX_HP;
+    const hc = document.getElementById('hp-count');
+    if (hc) hc.textContent = this.state.downed ? `${hp} (down)` : `${hp}/${MAX_HP}`;
+    const hb = document.getElementById('hp-bar');
+    if (hb) hb.style.width = (hp / MAX_HP * 100) + '%';
+    const gear = document.getElementById('char-gear');
+    if (gear) gear.textContent = this.equipment.worn().map(w => w.item.name).join(', ') || '—';
   }
 
   updateMap() {
@@ -1416,12 +1760,51 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       roomDiv.classList.add(roomId === this.state.currentRoom ? 'current' : 'visited');
       roomDiv.title = this.roomTemplates[roomId]?.name || roomId;
       roomDiv.onclick = () => {
-        if (roomId !== this.state.currentRoom) {
-          this.enterRoom(roomId);
-        }
+        if (roomId === this.state.currentRoom) return;
+        const blocked = this.movementBlocked();
+        if (blocked) this.addOutput(blocked);
+        else this.enterRoom(roomId);
       };
       mapGrid.appendChild(roomDiv);
     });
+    // Unvisited neighbours reachable through perceivable exits; hidden exits stay off the map
+    for (const exit of this.visibleExits(this.state.currentRoom)) {
+      if (this.state.visitedRooms.has(exit.to)) continue;
+      const roomDiv = document.createElement('div');
+      const sealed = !!this.exitRefusal(exit);
+      roomDiv.className = 'map-room';
+      roomDiv.classList.add(sealed ? 'sealed' : 'adjacent');
+      roomDiv.title = sealed ? `${exit.dir} (sealed)` : `${exit.dir}: unexplored`;
+      if (!sealed) roomDiv.onclick = () => this.handleMovement(exit.dir);
+      mapGrid.appendChild(roomDiv);
+    }
+  }
+
+  /**
+   * Show content diagnostics in the dev panel (dev mode only); errors always reach the console.
+   */
+  renderDiagnostics() {
+    const list = this.diagnostics;
+    if (list.some(d => d.level === 'error')) console.warn(`[qmud] content problems:\n${formatDiagnostics(list)}`);
+    const panel = document.getElementById('dev-panel');
+    if (!panel || !this.devMode) return;
+    const body = document.getElementById('dev-diagnostics');
+    body.innerHTML = '';
+    if (!list.length) {
+      const ok = document.createElement('div');
+      ok.className = 'success-message';
+      ok.textContent = 'Content OK — no problems found.';
+      body.appendChild(ok);
+    }
+    for (const d of list) {
+      const row = document.createElement('div');
+      row.className = d.level === 'error' ? 'dev-diag error' : 'dev-diag warn';
+      row.textContent = `${d.where}: ${d.message}`;
+      body.appendChild(row);
+    }
+    const errors = list.filter(d => d.level === 'error').length;
+    document.getElementById('dev-summary').textContent = `${errors} error(s), ${list.length - errors} warning(s)`;
+    panel.style.display = 'block';
   }
 
   updateCacheDisplay() {
@@ -1447,6 +1830,7 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     try {
       this.state = obj;
       this.state.visitedRooms = new Set(obj.visitedRooms || []);
+      this.migrateState();
       this.state.stage = 'playing';
       localStorage.setItem('qmud_state', JSON.stringify(this.serializeState()));
       this.startGame();
@@ -1455,6 +1839,43 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
     }
   }
 
+  /**
+   * Ensure all required properties exist (backward compatibility with older saves).
+   */
+  migrateState() {
+    const s = this.state;
+    s.bookSession = s.bookSession || null;
+    s.creationData = s.creationData || { observations: [], currentScene: 0, startTime: Date.now() };
+    s.hp = s.hp ?? 100;
+    // Inventory used to be a list of unique ids
+    if (Array.isArray(s.inventory)) s.inventory = s.inventory.reduce((inv, id) => ({ ...inv, [id]: (inv[id] || 0) + 1 }), {});
+    s.inventory = s.inventory || {};
+    s.equipped = s.equipped || {};
+    s.insight = s.insight || 0;
+    s.completedBooks = s.completedBooks || [];
+    s.consumed = s.consumed || {};
+    s.unlockedCommands = s.unlockedCommands || [];
+    s.knownRecipes = s.knownRecipes || [];
+    s.evolutionPath = s.evolutionPath || [];
+    s.visitCounts = s.visitCounts || {};
+    s.firedTriggers = s.firedTriggers || {};
+    // Flags and revealed exits moved into the world state
+    s.world = s.world || { ...emptyWorld(), flags: s.flags || {}, revealedExits: s.revealedExits || {} };
+    delete s.flags;
+    delete s.revealedExits;
+    s.world.vendors = s.world.vendors || {};
+    s.conversation = s.conversation || null;
+    s.quests = s.quests || {};
+    s.exchange = s.exchange || { outgoing: {}, incoming: {} };
+    s.exchange.closed = s.exchange.closed || {};
+    s.trade = s.trade || { session: null, closed: {} };
+    s.encounter = s.encounter || null;
+    s.defeated = s.defeated || {};
+    s.downed = s.downed || null;
+    s.boundRoom = s.boundRoom || null;
+    s.restedAt = s.restedAt || 0;
+  }
+
   saveState() {
     if (this.state.stage === 'playing') {
       localStorage.setItem('qmud_state', JSON.stringify(this.serializeState()));
@@ -1475,11 +1896,8 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
           visitedRooms: new Set(loaded.visitedRooms || [])
         };
         
-        // Ensure all required properties exist (backward compatibility)
-        this.state.bookSession = this.state.bookSession || null;
-        this.state.creationData = this.state.creationData || { observations: [], currentScene: 0, startTime: Date.now() };
-        this.state.hp = this.state.hp ?? 100;
-        this.state.insight = this.state.insight || 0;
+        this.migrateState();
+        this.startSession();
         
         document.getElementById('setup-screen').style.display = 'none';
         document.getElementById('game-container').style.display = 'block';
@@ -1510,7 +1928,7 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
         if (this.state.currentRoom) {
           const currentRoom = this.state.currentRoom;
           this.state.currentRoom = null; // Temporarily clear to force re-entry
-          this.enterRoom(currentRoom);
+          this.enterRoom(currentRoom, { resume: true });
         }
       }
     } catch (e) {
@@ -1524,11 +1942,15 @@ This is not a recognized game command. Give a brief (under 50 words), atmospheri
       localStorage.removeItem('qmud_state');
       this.state = {
         stage:'setup', player:null, currentRoom:null, visitedRooms:new Set(), actionCount:0,
-        history:[], inventory:[], insight:0, hp:100,
+        history:[], inventory:{}, equipped:{}, insight:0, hp:100,
         quantumState:{ coherence:0, entanglement:[], superposition:0 },
         truthDensity:0.5, shadowIntegration:0,
         creationData:{ observations:[], currentScene:0, startTime: Date.now() },
-        bookSession:null
+        bookSession:null, completedBooks:[], consumed:{}, unlockedCommands:[], knownRecipes:[], evolutionPath:[],
+        visitCounts:{}, firedTriggers:{}, world:emptyWorld(), conversation:null, quests:{},
+        exchange:{ outgoing:{}, incoming:{}, closed:{} },
+        trade:{ session:null, closed:{} }, encounter:null, defeated:{},
+        downed:null, boundRoom:null, restedAt:0
       };
       if (this._hb) { try { clearInterval(this._hb); } catch {} }
       location.reload();
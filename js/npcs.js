@@ -0,0 +1,225 @@
+// js/npcs.js
+// Non-player characters from content.npcs (game.npcTemplates): authored dialogue trees offline,
+// persona replies (grounded in the NPC's facts) when AI is enabled.
+//
+//   oracle: {
+//     name: 'The Oracle', room: 'oracle_chamber', when: { … }, aliases: ['seer'],
+//     desc: '…', persona: 'voice and manner', facts: ['…'],
+//     dialogue: {
+//       start: 'greet' | [{ when: { … }, node: 'welcome_back' }, { node: 'greet' }],
+//       nodes: { greet: { text: '…', choices: [
+//         { text: '…', next: 'node_id', when: { … }, once: true,
+//           say, effects, give_item, take_item, flag, reveal }   // same actions as triggers
+//       ] } }
+//     }
+//   }
+//
+// A node without choices (or a choice without `next`) ends the conversation.
+
+import { meetsConditions } from './conditions.js';
+import { runActions } from './triggers.js';
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+export class NpcEngine {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    this.history = []; // AI exchanges in the current conversation: [{ role, text }]
+  }
+
+  // ----- Queries -----
+
+  /**
+   * NPCs present in a room (their `room` matches and their `when` holds).
+   */
+  here(roomId = this.g.state.currentRoom) {
+    return Object.entries(this.g.npcTemplates || {})
+      .filter(([, n]) => list(n.room).includes(roomId) && meetsConditions(this.g, n.when))
+      .map(([id, n]) => ({ ...n, id }));
+  }
+
+  find(token) {
+    const low = (token || '').toLowerCase();
+    if (!low) return null;
+    const present = this.here();
+    const names = n => [n.id, n.name, ...list(n.aliases)].map(x => String(x).toLowerCase());
+    return present.find(n => names(n).includes(low)) ||
+           present.find(n => names(n).some(x => x.includes(low))) || null;
+  }
+
+  get active() {
+    const c = this.g.state.conversation;
+    if (!c) return null;
+    const npc = this.g.npcTemplates?.[c.npc];
+    return npc ? { ...npc, id: c.npc } : null;
+  }
+
+  /**
+   * Choices of the current node whose conditions hold (once-only choices drop out after use).
+   */
+  choices() {
+    const c = this.g.state.conversation;
+    const node = this._node();
+    return list(node?.choices).filter((ch, i) =>
+      ch && meetsConditions(this.g, ch.when) && !(ch.once && this.g.state.firedTriggers[`npc:${c.npc}:${c.node}:${ch.id || i}`]));
+  }
+
+  // ----- Public Commands -----
+
+  talk(token) {
+    const present = this.here();
+    if (!present.length) { this.g.addOutput('No one here answers to conversation.'); return; }
+    const npc = token ? this.find(token) : (present.length === 1 ? present[0] : null);
+    if (!npc) {
+      this.g.addOutput(`Talk to whom? Here: ${present.map(n => n.name).join(', ')}.`);
+      return;
+    }
+    this.history = [];
+    const start = this._startNode(npc);
+    if (!start) {
+      this.g.addOutput(npc.desc || `${npc.name} regards you in silence.`);
+      if (this.g.aiEnabled && npc.persona) {
+        this.g.state.conversation = { npc: npc.id, node: null };
+        this.g.addOutput('(Speak freely: reply <words>.)', 'system-message');
+      }
+      return;
+    }
+    this.g.state.conversation = { npc: npc.id, node: start };
+    this._render();
+  }
+
+  /**
+   * `reply <n>` follows a dialogue choice; free text goes to the AI persona.
+   */
+  async reply(token) {
+    const npc = this.active;
+    if (!npc) { this.g.addOutput('You are not in a conversation.'); return; }
+    const choices = this.choices();
+    const idx = parseInt(token, 10);
+    if (!isNaN(idx) && String(idx) === String(token).trim()) {
+      const choice = choices[idx - 1];
+      if (!choice) { this.g.addOutput('That is not one of your answers.'); return; }
+      this._choose(npc, choice);
+      return;
+    }
+    if (!token) { this._render(); return; }
+    if (!this.g.aiEnabled || !npc.persona) {
+      this.g.addOutput(choices.length
+        ? `${npc.name} waits for one of your answers (reply <n>).`
+        : `${npc.name} does not follow.`);
+      return;
+    }
+    await this._ask(npc, token);
+  }
+
+  leave() {
+    const npc = this.active;
+    if (!npc) { this.g.addOutput('You are not in a conversation.'); return; }
+    this.end();
+    this.g.addOutput(`You take your leave of ${npc.name}.`);
+  }
+
+  end() {
+    this.g.state.conversation = null;
+    this.history = [];
+  }
+
+  // ----- Internals -----
+
+  /**
+   * The authored tree is exhausted: end the talk, or stay for free conversation with an AI persona.
+   */
+  _finish() {
+    const npc = this.active;
+    if (this.g.aiEnabled && npc?.persona) {
+      this.g.state.conversation.node = null;
+      this.g.addOutput('(Speak freely: reply <words>, or bye.)', 'system-message');
+    } else {
+      this.end();
+    }
+  }
+
+  _startNode(npc) {
+    const d = npc.dialogue;
+    if (!d?.nodes) return null;
+    if (typeof d.start === 'string') return d.nodes[d.start] ? d.start : null;
+    for (const s of list(d.start)) {
+      if (d.nodes[s?.node] && meetsConditions(this.g, s.when)) return s.node;
+    }
+    return d.nodes.start ? 'start' : (Object.keys(d.nodes)[0] || null);
+  }
+
+  _node() {
+    const c = this.g.state.conversation;
+    return c?.node ? this.g.npcTemplates?.[c.npc]?.dialogue?.nodes?.[c.node] || null : null;
+  }
+
+  _render() {
+    const npc = this.active;
+    const node = this._node();
+    if (!npc || !node) return;
+    this.g.addOutput(`${npc.name}: ${node.text}`, 'librarian-voice');
+    this.g.emit('talk', { npc: npc.id, node: this.g.state.conversation.node });
+    const choices = this.choices();
+    if (!choices.length) {
+      this._finish();
+      return;
+    }
+    const lines = choices.map((ch, i) => `${i + 1}. ${ch.text}`);
+    this.g.addOutput([...lines, '(reply <n>, or bye)'].join('\n'));
+  }
+
+  _choose(npc, choice) {
+    const c = this.g.state.conversation;
+    const node = this._node();
+    const i = list(node?.choices).indexOf(choice);
+    if (choice.once) this.g.state.firedTriggers[`npc:${c.npc}:${c.node}:${choice.id || i}`] = Date.now();
+    this.g.addOutput(`You: ${choice.text}`);
+    runActions(this.g, choice, this.g.state.currentRoom, 'dialogue');
+    if (choice.next && npc.dialogue.nodes[choice.next]) {
+      c.node = choice.next;
+      this._render();
+    } else {
+      this._finish();
+    }
+    this.g.saveState();
+  }
+
+  async _ask(npc, text) {
+    if (this.g._shouldRateLimit()) {
+      this.g.addOutput(`[${npc.name} is still considering your last words…]`, 'system-message');
+      return;
+    }
+    try {
+      const answer = await this.g.ai.callLLM(this._promptPersona(npc, text));
+      if (!answer) { this.g.addOutput(`${npc.name} says nothing.`); return; }
+      this.history.push({ role: 'player', text }, { role: 'npc', text: answer });
+      this.history = this.history.slice(-8);
+      this.g.addOutput(`${npc.name}: ${answer}`, 'librarian-voice');
+    } catch {
+      this.g.addOutput(`${npc.name} says nothing.`);
+    }
+  }
+
+  _promptPersona(npc, text) {
+    const me = this.g.state.player;
+    const room = this.g.roomTemplates[this.g.state.currentRoom];
+    const node = this._node();
+    const gear = this.g.equipment.describe();
+    const said = this.history.map(h => `${h.role === 'npc' ? npc.name : me.name}: ${h.text}`).join('\n');
+    return `
+You are ${npc.name}, a character in the Quantum Library, speaking in ${room?.name || 'the Library'}.
+Persona: ${npc.persona}
+Facts you know (never contradict them, never invent new items, rooms or rewards):
+${list(npc.facts).map(f => `- ${f}`).join('\n') || '- (none beyond what you see)'}
+Speaking with: ${me.name} (${me.archetype}), Stage: ${me.heroStage}${gear ? `, ${gear}` : ''}
+${node ? `You last said: "${node.text}"` : ''}
+${said ? `Conversation so far:\n${said}` : ''}
+${me.name} says: "${text}"
+Answer in character, ≤80 words. If they ask for something only your authored answers can give, point them back to those answers.
+    `.trim();
+  }
+}
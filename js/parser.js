@@ -0,0 +1,100 @@
+// js/parser.js
+// Command tokenizer: quoting, articles/filler, prepositions and `;` chaining.
+
+const ARTICLES = new Set(['a', 'an', 'the', 'some', 'please', 'my']);
+export const PREPOSITIONS = new Set(['with', 'on', 'onto', 'to', 'into', 'at', 'from', 'about', 'using']);
+
+export const DIRECTIONS = {
+  n:'north', s:'south', e:'east', w:'west', u:'up', d:'down',
+  north:'north', south:'south', east:'east', west:'west', up:'up', down:'down'
+};
+
+// Two-word verbs folded into their canonical verb
+const PHRASAL = { 'pick up': 'take', 'look at': 'look', 'put down': 'drop', 'talk to': 'talk' };
+
+/**
+ * Split raw input into tokens. Double (or curly) quotes group words into one
+ * token; `;` outside quotes becomes its own separator token.
+ */
+export function tokenize(input) {
+  const tokens = [];
+  const src = String(input || '');
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === ';') { tokens.push({ text: ';', sep: true, start: i, end: i + 1 }); i++; continue; }
+    if (c === '"' || c === '“') {
+      const close = src.indexOf(c === '"' ? '"' : '”', i + 1);
+      const stop = close < 0 ? src.length : close;
+      tokens.push({ text: src.slice(i + 1, stop), quoted: true, start: i, end: Math.min(src.length, stop + 1) });
+      i = stop + 1;
+      continue;
+    }
+    const start = i;
+    while (i < src.length && !/\s/.test(src[i]) && !';"“'.includes(src[i])) i++;
+    tokens.push({ text: src.slice(start, i), start, end: i });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a whole input line into one command per `;`-separated segment.
+ */
+export function parseInput(input) {
+  const src = String(input || '');
+  const segments = [];
+  let cur = [];
+  for (const t of tokenize(src)) {
+    if (t.sep) { if (cur.length) segments.push(cur); cur = []; }
+    else cur.push(t);
+  }
+  if (cur.length) segments.push(cur);
+  return segments.map(toks => buildCommand(src, toks));
+}
+
+/**
+ * Parse a single command (no chaining). Returns:
+ * { raw, verb, args, object, prep, target, text }
+ * - args:   lowercased tokens after the verb
+ * - object: direct object with articles/filler stripped ("mirror shard")
+ * - prep/target: "use key on door" → prep 'on', target 'door'
+ * - text:   untouched remainder after the verb (for say/ask)
+ */
+export function parseCommand(input) {
+  const src = String(input || '');
+  const toks = tokenize(src).filter(t => !t.sep);
+  return buildCommand(src, toks);
+}
+
+function buildCommand(src, toks) {
+  const first = toks[0];
+  const last = toks[toks.length - 1];
+  const raw = first ? src.slice(first.start, last.end) : '';
+  if (!first) return { raw, verb: '', args: [], object: '', prep: null, target: null, text: '' };
+
+  let verb = first.quoted ? first.text : first.text.toLowerCase();
+  let rest = toks.slice(1);
+
+  const phrase = rest[0] && !rest[0].quoted ? `${verb} ${rest[0].text.toLowerCase()}` : null;
+  if (phrase && PHRASAL[phrase]) { verb = PHRASAL[phrase]; rest = rest.slice(1); }
+
+  // Bare direction → go <direction>
+  if (!first.quoted && DIRECTIONS[verb] && !rest.length) {
+    return { raw, verb: 'go', args: [verb], object: verb, prep: null, target: null, text: verb };
+  }
+
+  const text = rest.length ? src.slice(rest[0].start, last.end) : '';
+  const args = rest.map(t => t.quoted ? t.text : t.text.toLowerCase());
+
+  // Noun phrase: drop articles, drop leading prepositions, split on the first remaining one
+  const words = rest.filter(t => t.quoted || !ARTICLES.has(t.text.toLowerCase()));
+  while (words.length && !words[0].quoted && PREPOSITIONS.has(words[0].text.toLowerCase())) words.shift();
+  const cut = words.findIndex(t => !t.quoted && PREPOSITIONS.has(t.text.toLowerCase()));
+  const join = list => list.map(t => t.quoted ? t.text : t.text.toLowerCase()).join(' ');
+  const object = join(cut < 0 ? words : words.slice(0, cut));
+  const prep = cut < 0 ? null : words[cut].text.toLowerCase();
+  const target = cut < 0 ? null : join(words.slice(cut + 1)) || null;
+
+  return { raw, verb, args, object, prep, target, text };
+}
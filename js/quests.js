@@ -0,0 +1,160 @@
+// js/quests.js
+// Quests from content.quests, advanced by local game events (move, loot, craft, evolve,
+// book_page, talk, action). Progress lives in state.quests and is saved with the game.
+//
+//   lost_names: {
+//     name: 'Names in the Vault', summary: '…',
+//     start: 'auto', when: { … },          // auto-start once `when` holds; otherwise start via a
+//                                          // trigger / dialogue action: { start_quest: 'lost_names' }
+//     steps: [                             // completed in order; a step may combine several checks
+//       { text: 'Find the Quantum Key', obtain: 'quantum_key' },
+//       { text: 'Ask the Oracle what lies east', talk: 'oracle', node: 'east' },
+//       { text: 'Enter the Vault', visit: 'vault_of_names' },
+//       { text: 'Finish any book', finish_book: true },   // or a book id
+//       { text: 'Become an Adept', evolve: 'Adept' },
+//       { text: 'Let Truth pass 70%', when: { truth: 0.7 } },
+//       { text: 'Earn the Oracle’s blessing', flag: 'oracle_blessing' }
+//     ],
+//     rewards: { say, effects, give_item, flag, … }   // trigger actions
+//   }
+
+import { meetsConditions } from './conditions.js';
+import { runActions } from './triggers.js';
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+export const QUEST_EVENTS = ['move', 'loot', 'craft', 'evolve', 'book_page', 'talk', 'action'];
+export const STEP_KEYS = ['visit', 'obtain', 'talk', 'finish_book', 'evolve', 'flag', 'when'];
+
+export class QuestEngine {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    for (const type of QUEST_EVENTS) game.on(type, data => this.onEvent(type, data));
+  }
+
+  get defs() {
+    return this.g.questTemplates || {};
+  }
+
+  status(id) {
+    return this.g.state.quests[id]?.status || null;
+  }
+
+  /**
+   * Begin a quest (no-op if unknown or already taken).
+   */
+  start(id) {
+    const q = this.defs[id];
+    if (!q || this.g.state.quests[id]) return false;
+    this.g.state.quests[id] = { status: 'active', step: 0, startedAt: Date.now(), talked: [] };
+    this.g.addOutput(`[Quest started: ${q.name || id}]`, 'system-message');
+    this._advance(id);
+    return true;
+  }
+
+  onEvent(type, data = {}) {
+    const state = this.g.state;
+    if (!state.player) return;
+    for (const [id, q] of Object.entries(this.defs)) {
+      if (!state.quests[id] && q.start === 'auto' && meetsConditions(this.g, q.when)) this.start(id);
+    }
+    for (const [id, entry] of Object.entries(state.quests)) {
+      if (entry.status !== 'active') continue;
+      // Conversations are remembered per step, so talking before the step is reached does not count
+      const step = list(this.defs[id]?.steps)[entry.step];
+      if (type === 'talk' && step?.talk === data.npc && (!step.node || step.node === data.node)) {
+        entry.talked = [...new Set([...(entry.talked || []), entry.step])];
+      }
+      this._advance(id);
+    }
+  }
+
+  stepDone(id, index) {
+    const step = list(this.defs[id]?.steps)[index];
+    if (!step) return false;
+    const g = this.g;
+    const s = g.state;
+    if (step.visit && !list(step.visit).every(r => s.visitedRooms.has(r))) return false;
+    if (step.obtain && !list(step.obtain).every(i => g.hasItem(i))) return false;
+    if (step.talk && !(s.quests[id]?.talked || []).includes(index)) return false;
+    if (step.finish_book) {
+      const done = s.completedBooks || [];
+      if (step.finish_book === true ? !done.length : !list(step.finish_book).every(b => done.includes(b))) return false;
+    }
+    if (step.evolve && s.player?.heroStage !== step.evolve && !(s.evolutionPath || []).some(e => e.to === step.evolve)) return false;
+    if (step.flag && !list(step.flag).every(f => g.world.flag(f))) return false;
+    if (step.when && !meetsConditions(g, step.when)) return false;
+    return true;
+  }
+
+  _advance(id) {
+    const q = this.defs[id];
+    const entry = this.g.state.quests[id];
+    if (!q || entry?.status !== 'active') return;
+    const steps = list(q.steps);
+    while (entry.step < steps.length && this.stepDone(id, entry.step)) {
+      this.g.addOutput(`[Objective complete: ${steps[entry.step].text || `step ${entry.step + 1}`}]`, 'system-message');
+      entry.step++;
+    }
+    if (entry.step < steps.length) return;
+    entry.status = 'done';
+    entry.doneAt = Date.now();
+    this.g.addOutput(`[Quest complete: ${q.name || id}]`, 'system-message');
+    if (q.rewards) runActions(this.g, q.rewards, this.g.state.currentRoom, 'quest');
+    this.g.saveState();
+    // A reward may satisfy or start other quests
+    this.onEvent('quest', { quest: id });
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `quests`: one line per quest taken.
+   */
+  list() {
+    const entries = Object.entries(this.g.state.quests).filter(([id]) => this.defs[id]);
+    if (!entries.length) {
+      this.g.addOutput('Your journal is empty. The Library has not asked anything of you yet.');
+      return;
+    }
+    const lines = ['[Quests]'];
+    for (const [id, e] of entries) {
+      const q = this.defs[id];
+      const steps = list(q.steps);
+      lines.push(e.status === 'done'
+        ? `✓ ${q.name || id}`
+        : `- ${q.name || id} (${e.step}/${steps.length}): ${steps[e.step]?.text || '…'}`);
+    }
+    lines.push('Use journal [quest] for details.');
+    this.g.addOutput(lines.join('\n'));
+  }
+
+  /**
+   * `journal [quest]`: every taken quest (or one) with its objectives so far.
+   */
+  journal(token = '') {
+    const low = token.toLowerCase();
+    const entries = Object.entries(this.g.state.quests)
+      .filter(([id]) => this.defs[id])
+      .filter(([id]) => !low || id.toLowerCase().includes(low) || (this.defs[id].name || '').toLowerCase().includes(low));
+    if (!entries.length) {
+      this.g.addOutput(low ? `No quest in your journal matches "${token}".` : 'Your journal is empty.');
+      return;
+    }
+    const lines = [];
+    for (const [id, e] of entries) {
+      const q = this.defs[id];
+      lines.push(`[${q.name || id}]${e.status === 'done' ? ' — complete' : ''}`);
+      if (q.summary) lines.push(q.summary);
+      list(q.steps).forEach((st, i) => {
+        if (i < e.step || e.status === 'done') lines.push(`  ✓ ${st.text || `step ${i + 1}`}`);
+        else if (i === e.step) lines.push(`  → ${st.text || `step ${i + 1}`}`);
+      });
+      lines.push('');
+    }
+    this.g.addOutput(lines.join('\n').trim());
+  }
+}
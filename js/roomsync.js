@@ -0,0 +1,165 @@
+// js/roomsync.js
+// Shared room state over Aterna (Topics.roomState). Each client keeps its own world state
+// (js/world.js); this keeps the rooms players share in agreement:
+//
+//   state_change      { ops: [{ op: 'take' | 'drop', item, n, at } | { op: 'reveal', dir }] }
+//   snapshot_request  sent on entering a room; peers answer with…
+//   snapshot          { record: { taken, dropped, rev, revealed } }   the newer record wins
+//   claim             { item, at }   before taking a `unique: true` item
+//
+// Claims settle conflicts: a player reaching for a unique item announces a claim and waits
+// CLAIM_WINDOW_MS. The earliest claim wins (ties go to the lower player id); a rival's take,
+// or a snapshot without the item, loses the claim. A holder of the item answers late claims
+// with a snapshot.
+
+import { Topics } from './aterna.js';
+
+export const CLAIM_WINDOW_MS = 1500;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+export class RoomSync {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+    this.claims = new Map(); // `${roomId} ${item}` → { roomId, item, at, lostTo }
+    this.heard = new Map();  // same key → [{ id, name, at }]: everyone's recent claims, ours included
+  }
+
+  get enabled() {
+    return !!this.g.aterna?.enabled;
+  }
+
+  // ----- Outgoing -----
+
+  /**
+   * Ask the room's occupants for their view of it (on entering).
+   */
+  join(roomId) {
+    this._send(roomId, 'snapshot_request', {}).catch(()=>{});
+  }
+
+  /**
+   * Claim a unique item before taking it.
+   * @returns {Promise<string|null>} null when the item may be taken, else the winner's name
+   */
+  async claim(roomId, id) {
+    if (!this.enabled || !this.g.items[id]?.unique) return null;
+    const key = `${roomId} ${id}`;
+    const mine = { roomId, item: id, at: Date.now(), lostTo: null };
+    this.claims.set(key, mine);
+    this._heard(key, { id: this.g.playerId, at: mine.at });
+    await this._send(roomId, 'claim', { item: id, at: mine.at }).catch(()=>{});
+    await sleep(CLAIM_WINDOW_MS);
+    this.claims.delete(key);
+    if (mine.lostTo) return mine.lostTo;
+    // Claims heard shortly before ours count too: the other player may already be waiting
+    const first = this._heard(key).sort((a, b) => a.at - b.at || String(a.id).localeCompare(String(b.id)))[0];
+    return first.id === this.g.playerId ? null : first.name || 'Someone';
+  }
+
+  /**
+   * Share local changes to a room.
+   */
+  changed(roomId, ops) {
+    if (!this.enabled || !ops.length) return;
+    this._send(roomId, 'state_change', { ops }).catch(()=>{});
+  }
+
+  // ----- Incoming -----
+
+  /**
+   * Handle a message from a Topics.roomState stream.
+   */
+  onEvent(msg) {
+    const g = this.g;
+    const d = msg?.content?.data || {};
+    const roomId = d.room_id;
+    const from = d.player;
+    if (!roomId || !g.roomTemplates[roomId] || !from?.id || from.id === g.playerId) return;
+    const p = d.payload || {};
+    switch (d.event_type) {
+      case 'snapshot_request':
+        if (g.state.world.rooms[roomId] || g.state.world.revealedExits[roomId]) {
+          this._send(roomId, 'snapshot', { record: g.world.record(roomId) }).catch(()=>{});
+        }
+        break;
+      case 'snapshot': {
+        const before = g.roomItems(roomId).join();
+        if (!g.world.adopt(roomId, p.record)) break;
+        const items = g.roomItems(roomId);
+        for (const c of this.claims.values()) {
+          if (c.roomId === roomId && !items.includes(c.item)) c.lostTo = c.lostTo || from.name;
+        }
+        if (roomId === g.state.currentRoom && items.join() !== before) {
+          g.addOutput(`The room settles into how others left it. ${items.length
+            ? `You notice: ${items.map(id => g.items[id]?.name || id).join(', ')}` : 'Nothing lies loose here.'}`, 'system-message');
+        }
+        this._refresh(roomId);
+        break;
+      }
+      case 'state_change':
+        for (const op of Array.isArray(p.ops) ? p.ops : []) this._apply(roomId, op, from);
+        this._refresh(roomId);
+        break;
+      case 'claim': {
+        const key = `${roomId} ${p.item}`;
+        this._heard(key, { id: from.id, name: from.name, at: Number(p.at) || Date.now() });
+        if (!this.claims.has(key) && g.items[p.item]?.unique && g.hasItem(p.item) && !g.roomItems(roomId).includes(p.item)) {
+          this._send(roomId, 'snapshot', { record: g.world.record(roomId) }).catch(()=>{});
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // ----- Internals -----
+
+  /**
+   * Record a claim (when given) and return the claims on this key from the last two windows.
+   */
+  _heard(key, claim = null) {
+    const since = Date.now() - 2 * CLAIM_WINDOW_MS;
+    const recent = (this.heard.get(key) || []).filter(c => c.heardAt >= since);
+    if (claim) recent.push({ ...claim, heardAt: Date.now() });
+    if (recent.length) this.heard.set(key, recent); else this.heard.delete(key);
+    return recent;
+  }
+
+  _apply(roomId, op, from) {
+    const g = this.g;
+    if (!op || (op.op !== 'reveal' && !g.items[op.item])) return;
+    const at = Number(op.at) || Date.now();
+    const n = Math.max(1, Math.min(99, Math.floor(op.n || 1)));
+    if (op.op === 'take') {
+      for (let i = 0; i < n && g.world.takeItem(roomId, op.item, at); i++);
+      const c = this.claims.get(`${roomId} ${op.item}`);
+      if (c) c.lostTo = c.lostTo || from.name;
+    } else if (op.op === 'drop') {
+      for (let i = 0; i < n; i++) g.world.dropItem(roomId, op.item, at);
+    } else if (op.op === 'reveal' && typeof op.dir === 'string') {
+      if (g.world.reveal(roomId, op.dir) && roomId === g.state.currentRoom) {
+        g.addOutput(`${from.name} has opened the way ${op.dir}.`, 'system-message');
+      }
+    }
+  }
+
+  _refresh(roomId) {
+    this.g.saveState();
+    if (roomId === this.g.state.currentRoom) this.g.updateMap();
+  }
+
+  async _send(roomId, event_type, payload) {
+    if (!this.enabled) return;
+    await this.g.aterna.publishEvent(Topics.roomState(roomId), {
+      event_type,
+      room_id: roomId,
+      player: this.g.buildPublicPlayerState(),
+      payload
+    });
+  }
+}
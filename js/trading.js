@@ -0,0 +1,362 @@
+// js/trading.js
+// Player-to-player trades over Aterna, with escrow. Messages go to each player's events topic
+// like `give` (js/exchange.js); the player who opens the trade leads it and alone decides the
+// swap, so both sides always agree on the outcome:
+//
+//   lead                                  follow
+//   trade_request ──────────────────────▶ (trade <lead> to join)
+//                 ◀────────────────────── trade_join
+//   trade_offer { rev, offer } ◀────────▶ trade_offer        // either side, as often as they like
+//   trade_accept { revs } ◀─────────────▶ trade_accept       // for the offers both have seen
+//   trade_commit { revs } ──────────────▶ swap applied once
+//   trade_cancel ◀──────────────────────▶ trade_cancel / trade_abort
+//                 ◀────────────────────── trade_status       // follow timed out while accepted
+//
+// Offered items and Ξ leave the inventory at once and are held in state.trade.session until
+// the trade commits (given away) or is cancelled (returned). Each offer carries a revision;
+// stale or repeated offers are ignored and an acceptance only counts for the revisions it
+// names. Once the follower accepts it is locked until the lead commits or aborts. The lead
+// keeps the outcome of recent sessions in state.trade.closed and repeats it to a follower
+// that asks again, so duplicate, late or out-of-order messages cannot swap twice or lose
+// escrow.
+
+import { Topics } from './aterna.js';
+
+export const TRADE_TTL_MS = 3 * 60 * 1000;
+const KEEP_CLOSED = 20;
+const INSIGHT = /^(ξ|xi|insight)$/i;
+
+const newId = () => crypto.randomUUID?.() || Math.random().toString(36).slice(2);
+const emptyOffer = () => ({ items: {}, insight: 0, rev: 0 });
+
+export class Trading {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+  }
+
+  get data() {
+    return this.g.state.trade;
+  }
+
+  get session() {
+    return this.data.session;
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `trade [player | add … | remove … | accept | cancel]`
+   */
+  command(text = '') {
+    this.expire();
+    const line = String(text).trim().replace(/^with\s+/i, '');
+    const [sub, ...rest] = line.split(/\s+/);
+    const arg = rest.join(' ');
+    switch ((sub || '').toLowerCase()) {
+      case '': this.show(); break;
+      case 'add': this.add(arg); break;
+      case 'remove': this.remove(arg); break;
+      case 'accept': this.accept(); break;
+      case 'cancel': this.cancel(); break;
+      default: this.start(line);
+    }
+  }
+
+  /**
+   * Open a trade with someone here, or join the one they opened.
+   */
+  start(name) {
+    const g = this.g;
+    const s = this.session;
+    const low = name.toLowerCase();
+    if (s?.status === 'invited' && s.peerName.toLowerCase().startsWith(low)) {
+      s.status = 'open';
+      s.at = Date.now();
+      g.saveState();
+      g.addOutput(`You sit down to trade with ${s.peerName}. (trade add [n] <item|Ξ>, trade accept, trade cancel)`);
+      this._send('trade_join', {});
+      return;
+    }
+    if (s) { g.addOutput(`You are already trading with ${s.peerName}. (trade cancel first)`); return; }
+    const peer = [...g.roomPeers].find(([, p]) => p.name?.toLowerCase().startsWith(low));
+    if (!peer) { g.addOutput(`No one called "${name}" is here.`); return; }
+    const [id, p] = peer;
+    this.data.session = {
+      id: newId(), peer: id, peerName: p.name, role: 'lead', status: 'requested',
+      mine: emptyOffer(), theirs: emptyOffer(), myAccept: null, theirAccept: null, at: Date.now()
+    };
+    g.saveState();
+    g.addOutput(`You propose a trade to ${p.name}…`);
+    this._send('trade_request', {});
+  }
+
+  add(text) {
+    const s = this._editable();
+    if (!s) return;
+    const g = this.g;
+    const { count, name } = g.parseCount(text);
+    if (INSIGHT.test(name)) {
+      const n = Math.min(count, g.state.insight);
+      if (n < 1 || !g.spendInsight(n)) { g.addOutput('You have no Ξ to offer.'); return; }
+      s.mine.insight += n;
+    } else {
+      const id = g.findItemIdByName(name);
+      if (!id || !g.hasItem(id)) { g.addOutput("You don't have that."); return; }
+      s.mine.items[id] = (s.mine.items[id] || 0) + g.removeItem(id, count);
+    }
+    this._offerChanged();
+  }
+
+  remove(text) {
+    const s = this._editable();
+    if (!s) return;
+    const g = this.g;
+    const { count, name } = g.parseCount(text);
+    if (INSIGHT.test(name)) {
+      const n = Math.min(count, s.mine.insight);
+      if (n < 1) { g.addOutput('You are not offering any Ξ.'); return; }
+      s.mine.insight -= n;
+      g.state.insight += n;
+    } else {
+      const id = g.findItemIdByName(name);
+      if (!id || !s.mine.items[id]) { g.addOutput("That isn't on the table."); return; }
+      const n = Math.min(count, s.mine.items[id]);
+      s.mine.items[id] -= n;
+      if (!s.mine.items[id]) delete s.mine.items[id];
+      g.addItem(id, n);
+    }
+    this._offerChanged();
+  }
+
+  accept() {
+    const g = this.g;
+    const s = this.session;
+    if (!s || !['open', 'prepared'].includes(s.status)) { g.addOutput('You are not trading with anyone.'); return; }
+    const unknown = Object.keys(s.theirs.items).filter(id => !g.items[id]);
+    if (unknown.length) { g.addOutput(`You cannot take ${unknown.join(', ')}: it does not exist in your Library.`); return; }
+    const revs = this._revs();
+    s.myAccept = revs;
+    s.at = Date.now();
+    if (s.role === 'follow') s.status = 'prepared';
+    g.saveState();
+    g.addOutput(`You accept the trade as it stands.${s.role === 'follow' ? ' Your side is locked until it completes.' : ''}`);
+    this._send('trade_accept', { revs });
+    if (s.role === 'lead' && this._same(s.theirAccept, revs)) this._commit();
+  }
+
+  cancel() {
+    const g = this.g;
+    const s = this.session;
+    if (!s) { g.addOutput('You are not trading with anyone.'); return; }
+    if (s.status === 'prepared') {
+      // Our acceptance may already have completed the trade: only the lead can call it off
+      g.addOutput(`You ask ${s.peerName} to call the trade off…`);
+      this._send('trade_cancel', {});
+      return;
+    }
+    this._send('trade_cancel', {});
+    this._close('abort', `You call off the trade with ${s.peerName}. Your offer returns to you.`);
+  }
+
+  show() {
+    const s = this.session;
+    if (!s) { this.g.addOutput('You are not trading with anyone. (trade <player>)'); return; }
+    if (s.status === 'requested') { this.g.addOutput(`Waiting for ${s.peerName} to join the trade.`); return; }
+    if (s.status === 'invited') { this.g.addOutput(`${s.peerName} wants to trade. (trade ${s.peerName} / trade cancel)`); return; }
+    const revs = this._revs();
+    this.g.addOutput([
+      `[Trade with ${s.peerName}]`,
+      `You give: ${this._describe(s.mine)}${this._same(s.myAccept, revs) ? ' ✓' : ''}`,
+      `You get: ${this._describe(s.theirs)}${this._same(s.theirAccept, revs) ? ' ✓' : ''}`,
+      '(trade add|remove [n] <item|Ξ>, trade accept, trade cancel)'
+    ].join('\n'));
+  }
+
+  // ----- Incoming events -----
+
+  /**
+   * Handle a trade_* event from this player's events topic.
+   */
+  onEvent(d) {
+    const g = this.g;
+    const p = d.payload || {};
+    const from = d.player;
+    if (!from?.id || !p.session) return;
+    this.expire();
+    const closed = this.data.closed[p.session];
+    if (closed) { this._replay(closed, p.session, from, d.event_type); return; }
+
+    const s = this.session;
+    if (d.event_type === 'trade_request') {
+      if (s?.id === p.session) return; // repeated
+      if (s) { this._send('trade_cancel', {}, { peer: from.id, id: p.session }); return; }
+      this.data.session = {
+        id: p.session, peer: from.id, peerName: from.name, role: 'follow', status: 'invited',
+        mine: emptyOffer(), theirs: emptyOffer(), myAccept: null, theirAccept: null, at: Date.now()
+      };
+      g.saveState();
+      g.addOutput(`${from.name} wants to trade with you. (trade ${from.name} / trade cancel)`, 'system-message');
+      return;
+    }
+    if (!s || s.id !== p.session || s.peer !== from.id) return;
+    s.at = Date.now();
+
+    switch (d.event_type) {
+      case 'trade_join':
+        if (s.role !== 'lead' || s.status !== 'requested') return;
+        s.status = 'open';
+        g.addOutput(`${s.peerName} joins the trade. (trade add [n] <item|Ξ>)`, 'system-message');
+        break;
+      case 'trade_offer': {
+        const rev = Math.floor(p.rev || 0);
+        if (rev <= s.theirs.rev) return; // stale or repeated
+        const items = {};
+        for (const [id, n] of Object.entries(p.offer?.items || {})) if (n > 0) items[id] = Math.floor(n);
+        s.theirs = { items, insight: Math.max(0, Math.floor(p.offer?.insight || 0)), rev };
+        const voided = s.status === 'prepared' || s.myAccept;
+        s.myAccept = s.theirAccept = null;
+        if (s.status === 'prepared') s.status = 'open';
+        g.addOutput(`${s.peerName} now offers: ${this._describe(s.theirs)}.${voided ? ' Acceptances are void.' : ''}`, 'system-message');
+        break;
+      }
+      case 'trade_accept':
+        if (!this._same(p.revs, this._revs()) || this._same(p.revs, s.theirAccept)) return; // stale or repeated
+        s.theirAccept = p.revs;
+        if (s.role === 'lead' && this._same(s.myAccept, p.revs)) { this._commit(); return; }
+        g.addOutput(`${s.peerName} accepts the trade.${s.myAccept ? '' : ' (trade accept to agree)'}`, 'system-message');
+        break;
+      case 'trade_commit':
+        if (s.role !== 'follow' || s.status !== 'prepared' || !this._same(p.revs, s.myAccept)) return;
+        this._receive(s.theirs);
+        this._send('trade_done', {});
+        this._close('commit', `The trade with ${s.peerName} is done: you receive ${this._describe(s.theirs)}.`);
+        g.emit('loot', { items: Object.keys(s.theirs.items) });
+        break;
+      case 'trade_cancel':
+      case 'trade_status':
+        if (s.role === 'lead') {
+          this._send('trade_abort', {});
+          this._close('abort', `${s.peerName} calls off the trade. Your offer returns to you.`);
+        } else if (d.event_type === 'trade_cancel') {
+          this._close('abort', `${s.peerName} calls off the trade.${this._empty(s.mine) ? '' : ' Your offer returns to you.'}`);
+        }
+        break;
+      case 'trade_abort':
+        if (s.role === 'follow') this._close('abort', `The trade with ${s.peerName} is off. Your offer returns to you.`);
+        break;
+      default:
+        return;
+    }
+    g.saveState();
+  }
+
+  /**
+   * Cancel idle trades (returning escrow); an accepted follower asks the lead for the outcome instead.
+   */
+  expire(now = Date.now()) {
+    const s = this.session;
+    if (!s || now - s.at < TRADE_TTL_MS) return;
+    s.at = now;
+    if (s.status === 'prepared') { this._send('trade_status', {}); return; }
+    this._send('trade_cancel', {});
+    this._close('abort', `The trade with ${s.peerName} lapses.${this._empty(s.mine) ? '' : ' Your offer returns to you.'}`);
+  }
+
+  // ----- Internals -----
+
+  /**
+   * A closed session heard from again: the lead repeats its decision to the follower.
+   */
+  _replay(closed, id, from, type) {
+    if (closed.role !== 'lead' || closed.peer !== from.id) return;
+    if (!['trade_accept', 'trade_cancel', 'trade_status'].includes(type)) return;
+    if (closed.outcome === 'commit') this._send('trade_commit', { revs: closed.revs }, { peer: from.id, id });
+    else this._send('trade_abort', {}, { peer: from.id, id });
+  }
+
+  _editable() {
+    const s = this.session;
+    if (!s || s.status !== 'open') {
+      this.g.addOutput(s?.status === 'prepared'
+        ? `You have accepted; wait for ${s.peerName}, or trade cancel.`
+        : s ? `The trade with ${s.peerName} has not begun.` : 'You are not trading with anyone. (trade <player>)');
+      return null;
+    }
+    return s;
+  }
+
+  _offerChanged() {
+    const s = this.session;
+    s.mine.rev++;
+    s.myAccept = s.theirAccept = null;
+    s.at = Date.now();
+    this.g.saveState();
+    this.g.updateDisplay();
+    this.g.addOutput(`You offer: ${this._describe(s.mine)}.`);
+    this._send('trade_offer', { rev: s.mine.rev, offer: { items: s.mine.items, insight: s.mine.insight } });
+  }
+
+  _commit() {
+    const s = this.session;
+    this._receive(s.theirs);
+    this.data.closed[s.id] = { outcome: 'commit', role: 'lead', peer: s.peer, revs: s.myAccept, at: Date.now() };
+    this._send('trade_commit', { revs: s.myAccept });
+    this._close('commit', `The trade with ${s.peerName} is done: you receive ${this._describe(s.theirs)}.`);
+    this.g.emit('loot', { items: Object.keys(s.theirs.items) });
+  }
+
+  _receive(offer) {
+    for (const [id, n] of Object.entries(offer.items)) this.g.addItem(id, n);
+    if (offer.insight) this.g.state.insight += offer.insight;
+  }
+
+  /**
+   * End the session: a commit keeps the escrow given, an abort returns it.
+   */
+  _close(outcome, text) {
+    const g = this.g;
+    const s = this.session;
+    if (outcome === 'abort') this._receive(s.mine);
+    const closed = this.data.closed;
+    closed[s.id] = closed[s.id] || { outcome, role: s.role, peer: s.peer, at: Date.now() };
+    for (const id of Object.keys(closed).sort((a, b) => closed[a].at - closed[b].at).slice(0, -KEEP_CLOSED)) delete closed[id];
+    this.data.session = null;
+    g.saveState();
+    g.updateDisplay();
+    g.addOutput(text, 'system-message');
+    g.publishPlayerState('trade').catch(()=>{});
+  }
+
+  _revs() {
+    const s = this.session;
+    const [lead, follow] = s.role === 'lead' ? [s.mine.rev, s.theirs.rev] : [s.theirs.rev, s.mine.rev];
+    return { lead, follow };
+  }
+
+  _same(a, b) {
+    return !!a && !!b && a.lead === b.lead && a.follow === b.follow;
+  }
+
+  _empty(offer) {
+    return !offer.insight && !Object.keys(offer.items).length;
+  }
+
+  _describe(offer) {
+    const parts = Object.entries(offer.items).map(([id, n]) => this.g.itemLabel(id, n));
+    if (offer.insight) parts.push(`${offer.insight} Ξ`);
+    return parts.join(', ') || 'nothing';
+  }
+
+  async _send(event_type, payload, to = this.session) {
+    if (!this.g.aterna?.enabled || !to) return;
+    await this.g.aterna.publishEvent(Topics.playerEvents(to.peer), {
+      event_type,
+      room_id: this.g.state.currentRoom,
+      player: this.g.buildPublicPlayerState(),
+      payload: { ...payload, session: to.id }
+    }).catch(()=>{});
+  }
+}
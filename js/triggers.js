@@ -0,0 +1,81 @@
+// js/triggers.js
+// Declarative room and item triggers. Rooms and items may carry `triggers: [...]`:
+//
+//   { on: 'enter' | 'take' | 'look' | 'use' | 'env',   // env: the room's phase or states changed (js/environment.js)
+//     item: 'id',            // room triggers on take/look/use: only for this item
+//     on_target: 'mirror',   // use triggers: only for "use <item> on <target>" containing this text
+//     when: { … },           // conditions.js DSL (incl. visits, room, flag)
+//     once: true,            // fire at most once per save
+//     say: 'text', effects: { … }, give_item: 'id', take_item: 'id',
+//     flag: 'name' | ['name'], reveal: 'north' | { room, dir }, start_quest: 'id', move: 'room_id' }
+//
+// Actions run in that order; `move` always runs last.
+
+import { meetsConditions } from './conditions.js';
+import { applyEffects } from './effects.js';
+
+export const TRIGGER_EVENTS = ['enter', 'take', 'look', 'use', 'env'];
+export const TRIGGER_ACTIONS = ['say', 'effects', 'give_item', 'take_item', 'flag', 'reveal', 'start_quest', 'move'];
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+function matches(t, event, { item, on }, fromRoom) {
+  if (!t || t.on !== event) return false;
+  if (fromRoom && t.item && t.item !== item) return false;
+  if (t.on_target && !(on || '').toLowerCase().includes(String(t.on_target).toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Fire the triggers for an event: the current room's, then the item's (when one is involved).
+ * @param {QuantumTruthMUD} g
+ * @param {'enter'|'take'|'look'|'use'|'env'} event
+ * @param {{ item?: string, on?: string }} [ctx]
+ * @returns {Promise<number>} how many triggers fired
+ */
+export async function fireTriggers(g, event, ctx = {}) {
+  const roomId = g.state.currentRoom;
+  const sources = [[`room:${roomId}`, g.roomTemplates[roomId]?.triggers, true]];
+  if (ctx.item) sources.push([`item:${ctx.item}`, g.items[ctx.item]?.triggers, false]);
+
+  const due = [];
+  for (const [scope, triggers, fromRoom] of sources) {
+    list(triggers).forEach((t, i) => {
+      if (!matches(t, event, ctx, fromRoom)) return;
+      const key = `${scope}:${t.id || i}`;
+      if (t.once && g.state.firedTriggers[key]) return;
+      if (!meetsConditions(g, t.when)) return;
+      due.push([key, t]);
+    });
+  }
+
+  let move = null;
+  for (const [key, t] of due) {
+    if (t.once) g.state.firedTriggers[key] = Date.now();
+    runActions(g, t, roomId);
+    if (t.move) move = t.move;
+  }
+  if (move && g.roomTemplates[move] && move !== g.state.currentRoom) await g.enterRoom(move);
+  return due.length;
+}
+
+/**
+ * Run the non-movement actions of a trigger-shaped object (also used by dialogue choices).
+ * @param {QuantumTruthMUD} g
+ * @param {object} t - { say, effects, give_item, take_item, flag, reveal, start_quest }
+ * @param {string} [roomId] - room a bare `reveal` direction belongs to
+ * @param {string} [reason] - reason tag for the published player snapshot
+ */
+export function runActions(g, t, roomId = g.state.currentRoom, reason = 'trigger') {
+  if (t.say) g.addOutput(t.say, 'librarian-voice');
+  const effects = { ...(t.effects || {}) };
+  if (t.give_item) effects.give_item = [...list(effects.give_item), ...list(t.give_item)];
+  if (t.take_item) effects.take_item = [...list(effects.take_item), ...list(t.take_item)];
+  if (Object.keys(effects).length) applyEffects(g, effects, reason);
+  for (const f of list(t.flag)) g.world.setFlag(f);
+  for (const r of list(t.reveal)) {
+    const { room = roomId, dir } = typeof r === 'string' ? { dir: r } : (r || {});
+    if (dir) g.revealExit(room, dir);
+  }
+  for (const q of list(t.start_quest)) g.quests.start(q);
+}
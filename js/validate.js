@@ -0,0 +1,456 @@
+// js/validate.js
+// Content pack validator. Pure data in, diagnostics out — no DOM, so the same checks
+// run in the browser dev panel and from tools/validate-content.mjs under Node.
+
+import { EFFECT_KEYS } from './effects.js';
+import { TRIGGER_EVENTS } from './triggers.js';
+import { STEP_KEYS } from './quests.js';
+import { SLOTS, MODIFIER_KEYS } from './equipment.js';
+import { PHASES } from './environment.js';
+
+const ITEM_TYPES = ['evolution', 'consumable', 'book'];
+
+function exitTarget(raw) {
+  if (typeof raw === 'string') return raw;
+  if (raw && typeof raw === 'object' && typeof raw.to === 'string') return raw.to;
+  return null;
+}
+
+/**
+ * Validate merged content.
+ * @param {{ rooms: object, scenes: Array, items: object, evolution?: object, npcs?: object, quests?: object, recipes?: object, encounters?: object }} content
+ * @param {{ start?: string }} [opts] - room the player starts in (for reachability)
+ * @returns {Array<{ level: 'error'|'warn', where: string, message: string }>}
+ */
+export function validateContent(content, { start = 'entrance' } = {}) {
+  const out = [];
+  const err  = (where, message) => out.push({ level: 'error', where, message });
+  const warn = (where, message) => out.push({ level: 'warn', where, message });
+
+  const rooms = content?.rooms;
+  const items = content?.items || {};
+  const scenes = content?.scenes;
+
+  // ----- Items -----
+  if (!items || typeof items !== 'object' || Array.isArray(items)) {
+    err('items', 'Items must be an object keyed by item id.');
+  } else {
+    for (const [id, it] of Object.entries(items)) {
+      const where = `items.${id}`;
+      if (!it || typeof it !== 'object') { err(where, 'Item must be an object.'); continue; }
+      if (it.id && it.id !== id) warn(where, `id "${it.id}" does not match its key.`);
+      if (!it.name) err(where, 'Missing name.');
+      if (it.type && !ITEM_TYPES.includes(it.type)) warn(where, `Unknown type "${it.type}".`);
+      if (it.price !== undefined && typeof it.price !== 'number') warn(where, 'price should be a number.');
+      if (it.respawn !== undefined && typeof it.respawn !== 'number' && typeof it.respawn?.after !== 'number') {
+        err(where, 'respawn must be seconds, or { after: seconds, when }.');
+      }
+      if (it.unique !== undefined && typeof it.unique !== 'boolean') warn(where, 'unique should be true or false.');
+      if (it.slot !== undefined && !SLOTS[it.slot]) err(where, `slot must be one of ${Object.keys(SLOTS).join(', ')}.`);
+      if (it.modifiers !== undefined) {
+        if (!it.slot) warn(where, 'modifiers only apply to equipped items (set a slot).');
+        if (!it.modifiers || typeof it.modifiers !== 'object' || Array.isArray(it.modifiers)) err(where, 'modifiers must be an object.');
+        else for (const [k, v] of Object.entries(it.modifiers)) {
+          if (!MODIFIER_KEYS.includes(k)) warn(where, `Unknown modifier "${k}".`);
+          else if (typeof v !== 'number') err(where, `modifier ${k} must be a number.`);
+        }
+      }
+    }
+  }
+  const knownItem = id => Object.prototype.hasOwnProperty.call(items, id);
+  const quests = content?.quests;
+  const knownQuest = id => !quests || Object.prototype.hasOwnProperty.call(quests, id);
+  const recipes = content?.recipes;
+  const knownRecipe = id => !recipes || Object.prototype.hasOwnProperty.call(recipes, id);
+  const checkStartQuest = (where, v) => {
+    for (const q of [].concat(v || [])) if (!knownQuest(q)) err(where, `start_quest refers to unknown quest "${q}".`);
+  };
+
+  // Effects blocks share one DSL wherever they appear
+  const checkEffects = (where, effects) => {
+    if (effects === undefined) return;
+    if (!effects || typeof effects !== 'object' || Array.isArray(effects)) { err(where, 'effects must be an object.'); return; }
+    for (const [k, v] of Object.entries(effects)) {
+      if (!EFFECT_KEYS.includes(k)) warn(where, `Unknown effect "${k}".`);
+      if (k === 'give_item' || k === 'take_item') {
+        for (const id of [].concat(v)) if (!knownItem(id)) err(where, `${k} refers to unknown item "${id}".`);
+      }
+      if (k === 'learn_recipe') {
+        for (const id of [].concat(v)) if (!knownRecipe(id)) err(where, `learn_recipe refers to unknown recipe "${id}".`);
+      }
+    }
+  };
+  for (const [id, it] of Object.entries(items || {})) {
+    checkEffects(`items.${id}.effects`, it?.effects);
+    for (const r of [].concat(it?.teaches || [])) if (!knownRecipe(r)) err(`items.${id}`, `teaches unknown recipe "${r}".`);
+    if (it?.teaches !== undefined && it.type !== 'book') warn(`items.${id}`, 'teaches only applies to books.');
+  }
+
+  // Triggers on rooms and items (room ids are checked once rooms are known)
+  const checkTriggers = (where, triggers, ownerRoom) => {
+    if (triggers === undefined) return;
+    if (!Array.isArray(triggers)) { err(where, 'triggers must be an array.'); return; }
+    triggers.forEach((t, i) => {
+      const tw = `${where}[${i}]`;
+      if (!t || typeof t !== 'object') { err(tw, 'Trigger must be an object.'); return; }
+      if (!TRIGGER_EVENTS.includes(t.on)) err(tw, `on must be one of ${TRIGGER_EVENTS.join(', ')}.`);
+      if (t.item && !knownItem(t.item)) err(tw, `Unknown item id "${t.item}".`);
+      for (const k of ['give_item', 'take_item']) {
+        for (const iid of [].concat(t[k] || [])) if (!knownItem(iid)) err(tw, `${k} refers to unknown item "${iid}".`);
+      }
+      if (t.when !== undefined && (!t.when || typeof t.when !== 'object')) err(tw, 'when must be a condition object.');
+      checkEffects(`${tw}.effects`, t.effects);
+      checkStartQuest(tw, t.start_quest);
+      if (rooms && typeof rooms === 'object') {
+        if (t.move && !rooms[t.move]) err(tw, `move to unknown room "${t.move}".`);
+        for (const r of [].concat(t.reveal || [])) {
+          const { room = ownerRoom, dir } = typeof r === 'string' ? { dir: r } : (r || {});
+          if (!room) err(tw, 'Item triggers must name the room of an exit to reveal: { room, dir }.');
+          else if (!rooms[room]?.exits?.[dir]) err(tw, `reveal names no exit "${dir}" in "${room}".`);
+        }
+      }
+      if (!t.say && !t.effects && !t.give_item && !t.take_item && !t.flag && !t.reveal && !t.start_quest && !t.move) {
+        warn(tw, 'Trigger has no actions.');
+      }
+    });
+  };
+  for (const [id, it] of Object.entries(items || {})) checkTriggers(`items.${id}.triggers`, it?.triggers, null);
+
+  // ----- Rooms -----
+  if (!rooms || typeof rooms !== 'object' || Array.isArray(rooms)) {
+    err('rooms', 'Rooms must be an object keyed by room id.');
+  } else {
+    if (!rooms[start]) err('rooms', `Start room "${start}" is missing.`);
+    for (const [id, room] of Object.entries(rooms)) {
+      const where = `rooms.${id}`;
+      if (!room || typeof room !== 'object') { err(where, 'Room must be an object.'); continue; }
+      if (!room.name) warn(where, 'Missing name.');
+      if (!room.basePrompt) warn(where, 'Missing basePrompt (AI descriptions and images will be thin).');
+      if (room.description === undefined) warn(where, 'Missing description (offline players see a placeholder).');
+      else if (typeof room.description !== 'string') err(where, 'description must be a string.');
+      if (room.sanctuary !== undefined && typeof room.sanctuary !== 'boolean') warn(where, 'sanctuary should be true or false.');
+      if (room.environment !== undefined) {
+        const env = room.environment;
+        const ew = `${where}.environment`;
+        if (!env || typeof env !== 'object') err(ew, 'environment must be an object.');
+        else {
+          if (env.hour !== undefined && !(Number.isInteger(env.hour) && env.hour >= 0 && env.hour < 24)) err(ew, 'hour must be a whole hour 0–23.');
+          for (const [sid, st] of Object.entries(env.states || {})) {
+            const sw = `${ew}.states.${sid}`;
+            if (!st || typeof st !== 'object') { err(sw, 'State must be an object.'); continue; }
+            for (const p of [].concat(st.phase || [])) if (!PHASES.includes(p)) err(sw, `phase must be one of ${PHASES.join(', ')}.`);
+            if (st.hours !== undefined && (typeof st.hours?.from !== 'number' || typeof st.hours?.to !== 'number')) err(sw, 'hours must be { from, to }.');
+            if (st.chance !== undefined && !(typeof st.chance === 'number' && st.chance >= 0 && st.chance <= 1)) err(sw, 'chance must be between 0 and 1.');
+            if (!st.phase && !st.hours && st.chance === undefined) warn(sw, 'State has no phase, hours or chance: it is always active.');
+          }
+        }
+      }
+      if (room.descriptionVariants !== undefined) {
+        if (!Array.isArray(room.descriptionVariants)) {
+          err(`${where}.descriptionVariants`, 'descriptionVariants must be an array.');
+        } else {
+          room.descriptionVariants.forEach((v, i) => {
+            const vw = `${where}.descriptionVariants[${i}]`;
+            if (!v || typeof v.text !== 'string' || !v.text.trim()) err(vw, 'Variant needs text.');
+            else if (v.when !== undefined && (!v.when || typeof v.when !== 'object')) err(vw, 'when must be a condition object.');
+          });
+        }
+      }
+
+      const exits = room.exits || {};
+      if (typeof exits !== 'object' || Array.isArray(exits)) {
+        err(`${where}.exits`, 'Exits must be an object of direction → room.');
+      } else {
+        for (const [dir, raw] of Object.entries(exits)) {
+          const ew = `${where}.exits.${dir}`;
+          const to = exitTarget(raw);
+          if (!to) { err(ew, 'Exit must be a room id or an object with "to".'); continue; }
+          if (!rooms[to]) { err(ew, `Dangling exit to unknown room "${to}".`); continue; }
+          if (raw.key && !knownItem(raw.key)) err(ew, `Unknown key item "${raw.key}".`);
+          const back = Object.values(rooms[to]?.exits || {}).some(r => exitTarget(r) === id);
+          if (!back) warn(ew, `One-way exit: "${to}" has no path back to "${id}".`);
+        }
+      }
+
+      checkTriggers(`${where}.triggers`, room.triggers, id);
+
+      if (room.items !== undefined && !Array.isArray(room.items)) {
+        err(`${where}.items`, 'Room items must be an array of item ids.');
+      } else {
+        for (const iid of room.items || []) {
+          if (!knownItem(iid)) err(`${where}.items`, `Unknown item id "${iid}".`);
+        }
+      }
+
+      if (room.vendor) {
+        const goods = room.vendor.goods;
+        if (!Array.isArray(goods)) {
+          err(`${where}.vendor`, 'Vendor goods must be an array.');
+        } else {
+          goods.forEach((g, i) => {
+            if (!g || !knownItem(g.item)) err(`${where}.vendor.goods[${i}]`, `Unknown item id "${g?.item}".`);
+            else if (typeof g.price !== 'number') warn(`${where}.vendor.goods[${i}]`, 'price should be a number.');
+            if (g?.stock !== undefined && !(Number.isInteger(g.stock) && g.stock >= 0)) err(`${where}.vendor.goods[${i}]`, 'stock must be a whole number ≥ 0.');
+            if (g?.restock !== undefined && !(typeof g.restock === 'number' && g.restock > 0)) err(`${where}.vendor.goods[${i}]`, 'restock must be seconds > 0.');
+            if (g?.restock !== undefined && g.stock === undefined) warn(`${where}.vendor.goods[${i}]`, 'restock without stock has no effect.');
+          });
+        }
+      }
+    }
+
+    // Reachability, ignoring locks and reveals (those gate, they don't disconnect)
+    if (rooms[start]) {
+      const seen = new Set([start]);
+      const queue = [start];
+      while (queue.length) {
+        const cur = queue.shift();
+        for (const raw of Object.values(rooms[cur]?.exits || {})) {
+          const to = exitTarget(raw);
+          if (to && rooms[to] && !seen.has(to)) { seen.add(to); queue.push(to); }
+        }
+      }
+      for (const id of Object.keys(rooms)) {
+        if (!seen.has(id)) warn(`rooms.${id}`, `Unreachable from "${start}".`);
+      }
+    }
+  }
+
+  // ----- NPCs -----
+  const npcs = content?.npcs;
+  if (npcs !== undefined) {
+    if (!npcs || typeof npcs !== 'object' || Array.isArray(npcs)) {
+      err('npcs', 'NPCs must be an object keyed by npc id.');
+    } else {
+      for (const [id, n] of Object.entries(npcs)) {
+        const where = `npcs.${id}`;
+        if (!n || typeof n !== 'object') { err(where, 'NPC must be an object.'); continue; }
+        if (!n.name) err(where, 'Missing name.');
+        const homes = [].concat(n.room || []);
+        if (!homes.length) warn(where, 'No room: the NPC never appears.');
+        for (const r of homes) if (rooms && !rooms[r]) err(where, `Unknown room "${r}".`);
+        const d = n.dialogue;
+        if (d === undefined) {
+          if (!n.persona) warn(where, 'Neither dialogue nor persona: talk only shows the description.');
+          continue;
+        }
+        const nodes = d?.nodes;
+        if (!nodes || typeof nodes !== 'object') { err(`${where}.dialogue`, 'dialogue needs a nodes object.'); continue; }
+        for (const s of [].concat(d.start || [])) {
+          const node = typeof s === 'string' ? s : s?.node;
+          if (!nodes[node]) err(`${where}.dialogue.start`, `Unknown start node "${node}".`);
+        }
+        for (const [key, node] of Object.entries(nodes)) {
+          const nw = `${where}.dialogue.nodes.${key}`;
+          if (!node || typeof node.text !== 'string') { err(nw, 'Node needs text.'); continue; }
+          (node.choices || []).forEach((c, i) => {
+            const cw = `${nw}.choices[${i}]`;
+            if (!c || typeof c.text !== 'string') { err(cw, 'Choice needs text.'); return; }
+            if (c.next && !nodes[c.next]) err(cw, `next refers to unknown node "${c.next}".`);
+            for (const k of ['give_item', 'take_item']) {
+              for (const iid of [].concat(c[k] || [])) if (!knownItem(iid)) err(cw, `${k} refers to unknown item "${iid}".`);
+            }
+            checkEffects(`${cw}.effects`, c.effects);
+            checkStartQuest(cw, c.start_quest);
+          });
+        }
+      }
+    }
+  }
+
+  // ----- Quests -----
+  if (quests !== undefined) {
+    if (!quests || typeof quests !== 'object' || Array.isArray(quests)) {
+      err('quests', 'Quests must be an object keyed by quest id.');
+    } else {
+      const stages = content?.evolution || {};
+      for (const [id, q] of Object.entries(quests)) {
+        const where = `quests.${id}`;
+        if (!q || typeof q !== 'object') { err(where, 'Quest must be an object.'); continue; }
+        if (!q.name) warn(where, 'Missing name.');
+        if (q.start !== undefined && q.start !== 'auto') err(where, 'start must be "auto" (or omitted for quests started by start_quest).');
+        if (q.when !== undefined && (!q.when || typeof q.when !== 'object')) err(where, 'when must be a condition object.');
+        if (!Array.isArray(q.steps) || !q.steps.length) { err(where, 'Quest needs at least one step.'); continue; }
+        q.steps.forEach((st, i) => {
+          const sw = `${where}.steps[${i}]`;
+          if (!st || typeof st !== 'object') { err(sw, 'Step must be an object.'); return; }
+          const checks = Object.keys(st).filter(k => k !== 'text' && k !== 'node');
+          if (!checks.length) err(sw, `Step needs one of ${STEP_KEYS.join(', ')}.`);
+          for (const k of checks) if (!STEP_KEYS.includes(k)) warn(sw, `Unknown step key "${k}".`);
+          if (!st.text) warn(sw, 'Missing text (the journal shows "step N").');
+          for (const r of [].concat(st.visit || [])) if (rooms && !rooms[r]) err(sw, `Unknown room "${r}".`);
+          for (const iid of [].concat(st.obtain || [])) if (!knownItem(iid)) err(sw, `Unknown item id "${iid}".`);
+          if (typeof st.finish_book === 'string' || Array.isArray(st.finish_book)) {
+            for (const b of [].concat(st.finish_book)) if (!knownItem(b)) err(sw, `Unknown book "${b}".`);
+          }
+          if (st.talk) {
+            const npc = npcs?.[st.talk];
+            if (!npc) err(sw, `Unknown npc "${st.talk}".`);
+            else if (st.node && !npc.dialogue?.nodes?.[st.node]) err(sw, `NPC "${st.talk}" has no node "${st.node}".`);
+          } else if (st.node) warn(sw, 'node only applies to talk steps.');
+          if (st.evolve && !stages[st.evolve]) err(sw, `Unknown stage "${st.evolve}".`);
+          if (st.when !== undefined && (!st.when || typeof st.when !== 'object')) err(sw, 'when must be a condition object.');
+        });
+        if (q.rewards !== undefined) {
+          const rw = `${where}.rewards`;
+          if (!q.rewards || typeof q.rewards !== 'object') { err(rw, 'rewards must be an object of trigger actions.'); continue; }
+          for (const k of ['give_item', 'take_item']) {
+            for (const iid of [].concat(q.rewards[k] || [])) if (!knownItem(iid)) err(rw, `${k} refers to unknown item "${iid}".`);
+          }
+          checkEffects(`${rw}.effects`, q.rewards.effects);
+          checkStartQuest(rw, q.rewards.start_quest);
+        }
+      }
+    }
+  }
+
+  // ----- Recipes -----
+  if (recipes !== undefined) {
+    if (!recipes || typeof recipes !== 'object' || Array.isArray(recipes)) {
+      err('recipes', 'Recipes must be an object keyed by recipe id.');
+    } else {
+      const sets = new Map();
+      for (const [id, r] of Object.entries(recipes)) {
+        const where = `recipes.${id}`;
+        if (!r || typeof r !== 'object') { err(where, 'Recipe must be an object.'); continue; }
+        if (!r.name) warn(where, 'Missing name.');
+        const inputs = [].concat(r.inputs || []);
+        if (inputs.length < 2) err(where, 'A recipe needs at least two inputs.');
+        for (const iid of inputs) if (!knownItem(iid)) err(where, `Unknown input item "${iid}".`);
+        const out = typeof r.output === 'string' ? r.output : r.output?.item;
+        if (!out) err(where, 'Missing output.');
+        else if (!knownItem(out)) err(where, `Unknown output item "${out}".`);
+        for (const room of [].concat(r.room || [])) if (rooms && !rooms[room]) err(where, `Unknown workbench room "${room}".`);
+        if (r.requires !== undefined && (!r.requires || typeof r.requires !== 'object')) err(where, 'requires must be a condition object.');
+        checkEffects(`${where}.effects`, r.effects);
+        if (r.failure !== undefined) {
+          const fw = `${where}.failure`;
+          if (!r.failure || typeof r.failure !== 'object') { err(fw, 'failure must be an object.'); continue; }
+          if (!r.failure.when || typeof r.failure.when !== 'object') err(fw, 'failure needs a when condition object.');
+          if (r.failure.lose !== undefined && r.failure.lose !== 'all') {
+            for (const iid of [].concat(r.failure.lose)) if (!inputs.includes(iid)) err(fw, `lose names "${iid}", which is not an input.`);
+          }
+          checkEffects(`${fw}.effects`, r.failure.effects);
+        }
+        // Two recipes over the same kinds of input: only one can ever be combined by a player knowing both
+        const key = [...new Set(inputs)].sort().join('+');
+        if (sets.has(key)) warn(where, `Same inputs as recipe "${sets.get(key)}".`);
+        else sets.set(key, id);
+      }
+    }
+  }
+
+  // ----- Encounters -----
+  const encounters = content?.encounters;
+  if (encounters !== undefined) {
+    if (!encounters || typeof encounters !== 'object' || Array.isArray(encounters)) {
+      err('encounters', 'Encounters must be an object keyed by encounter id.');
+    } else {
+      for (const [id, e] of Object.entries(encounters)) {
+        const where = `encounters.${id}`;
+        if (!e || typeof e !== 'object') { err(where, 'Encounter must be an object.'); continue; }
+        if (!e.name) err(where, 'Missing name.');
+        const at = [].concat(e.rooms || []);
+        if (!at.length) warn(where, 'No rooms: it can never appear.');
+        for (const room of at) if (rooms && !rooms[room]) err(where, `Unknown room "${room}".`);
+        if (e.when !== undefined && (!e.when || typeof e.when !== 'object')) err(where, 'when must be a condition object.');
+        for (const k of ['hp', 'attack', 'defence', 'focus', 'chance', 'respawn', 'lasts', 'insight']) {
+          if (e[k] !== undefined && typeof e[k] !== 'number') err(where, `${k} must be a number.`);
+        }
+        if (typeof e.hp === 'number' && e.hp <= 0) err(where, 'hp must be above 0.');
+        if (e.moves !== undefined) {
+          if (!Array.isArray(e.moves) || !e.moves.length) err(where, 'moves must be a non-empty array.');
+          else e.moves.forEach((m, i) => {
+            if (!m?.name) err(`${where}.moves[${i}]`, 'Move needs a name.');
+            if (m?.power !== undefined && typeof m.power !== 'number') err(`${where}.moves[${i}]`, 'power must be a number.');
+          });
+        }
+        if (e.loot !== undefined) {
+          if (!Array.isArray(e.loot)) err(where, 'loot must be an array of { item, chance, n }.');
+          else for (const l of e.loot) if (!knownItem(l?.item)) err(`${where}.loot`, `Unknown item "${l?.item}".`);
+        }
+        if (e.rewards !== undefined) {
+          for (const k of ['give_item', 'take_item']) {
+            for (const iid of [].concat(e.rewards[k] || [])) if (!knownItem(iid)) err(`${where}.rewards`, `${k} refers to unknown item "${iid}".`);
+          }
+          checkEffects(`${where}.rewards.effects`, e.rewards.effects);
+          checkStartQuest(`${where}.rewards`, e.rewards.start_quest);
+        }
+      }
+    }
+  }
+
+  // ----- Evolution -----
+  const evolution = content?.evolution;
+  if (evolution !== undefined) {
+    if (!evolution || typeof evolution !== 'object' || Array.isArray(evolution)) {
+      err('evolution', 'Evolution must be an object keyed by stage name.');
+    } else {
+      if (!evolution.Threshold) warn('evolution', 'No "Threshold" stage: new heroes cannot evolve.');
+      for (const [stage, entry] of Object.entries(evolution)) {
+        const where = `evolution.${stage}`;
+        if (!entry || !Array.isArray(entry.paths)) { err(where, 'Stage needs a paths array (empty for a final stage).'); continue; }
+        entry.paths.forEach((p, i) => {
+          const pw = `${where}.paths[${i}]`;
+          if (!p || typeof p.to !== 'string') { err(pw, 'Path needs a target stage in "to".'); return; }
+          if (!evolution[p.to]) warn(pw, `Stage "${p.to}" has no entry (it will be a dead end).`);
+          for (const id of [].concat(p.cost?.items || [])) {
+            if (!knownItem(id)) err(`${pw}.cost`, `Unknown item id "${id}".`);
+          }
+          if (p.cost?.insight !== undefined && typeof p.cost.insight !== 'number') warn(`${pw}.cost`, 'insight should be a number.');
+          if (p.requires !== undefined && (!p.requires || typeof p.requires !== 'object')) err(`${pw}.requires`, 'requires must be a condition object.');
+          checkEffects(`${pw}.rewards.effects`, p.rewards?.effects);
+        });
+      }
+    }
+  }
+
+  // ----- Scenes -----
+  if (!Array.isArray(scenes)) {
+    err('scenes', 'Scenes must be an array.');
+  } else {
+    const ids = new Set();
+    scenes.forEach((sc, i) => {
+      if (!sc?.id) return;
+      if (ids.has(sc.id)) err(`scenes[${i}]`, `Duplicate scene id "${sc.id}".`);
+      ids.add(sc.id);
+    });
+    const checkNext = (where, next) => {
+      if (next === undefined || next === null || next === 'end') return;
+      if (!ids.has(next)) err(where, `next refers to unknown scene "${next}".`);
+    };
+    let nameScene = false;
+    scenes.forEach((sc, i) => {
+      const where = `scenes[${i}]`;
+      if (!sc || typeof sc !== 'object') { err(where, 'Scene must be an object.'); return; }
+      if (typeof sc.text !== 'string' || !sc.text.trim()) err(where, 'Missing text.');
+      checkNext(where, sc.next);
+      if (!Array.isArray(sc.choices) || !sc.choices.length) { err(where, 'Scene needs at least one choice.'); return; }
+      if (sc.name_input || sc.choices.some(c => c?.input)) nameScene = true;
+      if (sc.name_input && !sc.choices.some(c => c?.input)) warn(where, 'name_input scene has no choice with input: true (the name is never taken).');
+      sc.choices.forEach((c, j) => {
+        const cw = `${where}.choices[${j}]`;
+        if (!c || typeof c.text !== 'string') err(cw, 'Choice needs text.');
+        if (!c || c.value === undefined) err(cw, 'Choice needs a value.');
+        if (!c) return;
+        checkNext(cw, c.next);
+        checkEffects(`${cw}.effects`, c.effects);
+        if (c.archetype !== undefined && typeof c.archetype !== 'string' &&
+            (!c.archetype || typeof c.archetype !== 'object' || Object.values(c.archetype).some(n => typeof n !== 'number'))) {
+          err(cw, 'archetype must be a name or an object of name → weight.');
+        }
+        if (c.shadow_level !== undefined && typeof c.shadow_level !== 'number') warn(cw, 'shadow_level should be a number.');
+      });
+    });
+    if (scenes.length && !nameScene) warn('scenes', 'No name_input scene: every hero will be called "Seeker".');
+  }
+
+  return out;
+}
+
+/**
+ * One-line-per-diagnostic text rendering (used by the CLI and console).
+ */
+export function formatDiagnostics(list) {
+  if (!list.length) return 'Content OK — no problems found.';
+  return list.map(d => `${d.level === 'error' ? 'ERROR' : 'warn '} ${d.where}: ${d.message}`).join('\n');
+}
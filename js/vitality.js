@@ -0,0 +1,144 @@
+// js/vitality.js
+// HP, the downed state and recovery. Every HP change goes through change(), so reaching 0 from
+// any source (players, encounters, book pages, effects) downs the player:
+//
+//   state.downed     : { at, cause, room } while down, else null
+//   state.boundRoom  : room id to return to (bind in a room with `sanctuary: true`), else entrance
+//   state.restedAt   : last rest (ms)
+//
+// While down only commands registered with `whileDown: true` run (look, stats, say, respawn…).
+// `respawn` returns the player to the bound room at RESPAWN_HP, minus a share of their Ξ and a
+// little truth. HP comes back through `rest` (more in a sanctuary), `meditate` and consumables
+// with an `hp` effect; rest and meditation share one cooldown (REST_COOLDOWN_MS).
+
+export const MAX_HP = 100;
+export const RESPAWN_HP = 50;
+export const REST_HP = 15;
+export const SANCTUARY_REST_HP = 35;
+export const MEDITATE_HP = 5;
+export const REST_COOLDOWN_MS = 60 * 1000;
+const INSIGHT_PENALTY = 0.2;   // share of Ξ lost on respawn
+const TRUTH_PENALTY = 0.05;
+
+export class Vitality {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+  }
+
+  get downed() {
+    return !!this.g.state.downed;
+  }
+
+  get home() {
+    const bound = this.g.state.boundRoom;
+    return bound && this.g.roomTemplates[bound] ? bound : 'entrance';
+  }
+
+  /**
+   * Add (or with a negative delta, remove) HP, clamped to 0..MAX_HP; going to 0 downs the player.
+   * @returns {number} the change actually applied
+   */
+  change(delta, cause = 'harm') {
+    const g = this.g;
+    const before = g.state.hp ?? MAX_HP;
+    if (this.downed && delta > 0) return 0; // only respawn brings you back
+    g.state.hp = Math.max(0, Math.min(MAX_HP, before + Math.round(delta || 0)));
+    g.updateDisplay();
+    if (g.state.hp === 0 && before > 0) this.down(cause);
+    return g.state.hp - before;
+  }
+
+  /**
+   * Fall: fights and conversations end, and most commands stop working.
+   */
+  down(cause = 'harm') {
+    const g = this.g;
+    if (this.downed) return;
+    g.state.downed = { at: Date.now(), cause, room: g.state.currentRoom };
+    g.state.encounter = null;
+    if (g.state.conversation) g.npcs.end();
+    g.addOutput('Your strength runs out. The floor of the Library comes up to meet you, and the shelves go quiet.', 'librarian-voice');
+    g.addOutput(`[You are down. Type respawn to return to ${g.roomTemplates[this.home]?.name || this.home}.]`, 'system-message');
+    g.emit('downed', { cause });
+    g.saveState();
+    g.publishPlayerState('downed').catch(()=>{});
+  }
+
+  // ----- Public Commands -----
+
+  /**
+   * `respawn`: wake in the bound room, poorer for it.
+   */
+  async respawn() {
+    const g = this.g;
+    if (!this.downed) { g.addOutput('You are still standing.'); return; }
+    const lost = Math.floor(g.state.insight * INSIGHT_PENALTY);
+    g.state.insight -= lost;
+    g.state.truthDensity = Math.max(0, g.state.truthDensity - TRUTH_PENALTY);
+    g.state.downed = null;
+    g.state.hp = RESPAWN_HP;
+    g.addOutput('Someone — the Librarian, or the Library itself — sets you back on your feet.', 'librarian-voice');
+    g.addOutput(`[Respawned with ${RESPAWN_HP} HP${lost ? `; ${lost} Ξ did not come back with you` : ''}. Truth −${Math.round(TRUTH_PENALTY * 100)}%]`, 'system-message');
+    await g.enterRoom(this.home);
+    g.publishPlayerState('respawn').catch(()=>{});
+  }
+
+  /**
+   * `bind`: return here when downed (sanctuary rooms only).
+   */
+  bind() {
+    const g = this.g;
+    const roomId = g.state.currentRoom;
+    const room = g.roomTemplates[roomId];
+    if (!room?.sanctuary) { g.addOutput('This place will not hold you. Find a sanctuary.'); return; }
+    if (g.state.boundRoom === roomId) { g.addOutput(`You are already bound to ${room.name}.`); return; }
+    g.state.boundRoom = roomId;
+    g.addOutput(`You commit ${room.name} to memory. If you fall, you will wake here.`);
+    g.saveState();
+  }
+
+  /**
+   * `rest`: recover HP, out of danger and not too often.
+   */
+  rest() {
+    const g = this.g;
+    if (g.encounters.active) { g.addOutput(`Not with ${g.encounters.def.name} here.`); return; }
+    if (g.combat.engaged()) { g.addOutput('You are still catching your breath from the fight.'); return; }
+    if ((g.state.hp ?? MAX_HP) >= MAX_HP) { g.addOutput('You are already whole.'); return; }
+    const wait = this.recoveryWait();
+    if (wait > 0) { g.addOutput(`You cannot rest again yet (${Math.ceil(wait / 1000)}s).`); return; }
+    const sanctuary = !!g.roomTemplates[g.state.currentRoom]?.sanctuary;
+    const healed = this.recover(sanctuary ? SANCTUARY_REST_HP : REST_HP, 'rest');
+    g.addOutput(sanctuary ? 'You rest, and the room keeps watch for you.' : 'You rest a while among the shelves.');
+    g.addOutput(`[+${healed} HP — ${g.state.hp}/${MAX_HP}]`, 'system-message');
+    g.saveState();
+    g.publishPlayerState('rest').catch(()=>{});
+  }
+
+  /**
+   * Ms until rest or meditation can heal again.
+   */
+  recoveryWait(now = Date.now()) {
+    return Math.max(0, (this.g.state.restedAt || 0) + REST_COOLDOWN_MS - now);
+  }
+
+  /**
+   * Heal by resting or meditating, at most once per REST_COOLDOWN_MS.
+   * @returns {number} HP restored (0 while on cooldown)
+   */
+  recover(n, cause) {
+    if (this.recoveryWait() > 0 || (this.g.state.hp ?? MAX_HP) >= MAX_HP) return 0;
+    this.g.state.restedAt = Date.now();
+    return this.change(n, cause);
+  }
+
+  /**
+   * On loading a save while down.
+   */
+  remind() {
+    if (this.downed) this.g.addOutput('[You are down. Type respawn to get up.]', 'system-message');
+  }
+}
@@ -0,0 +1,147 @@
+// js/world.js
+// Per-save world state, kept apart from the immutable content templates (game.roomTemplates).
+// Saved as state.world:
+//
+//   rooms: { [roomId]: { taken: [{ id, at }], dropped: ['id', …], rev } } // only rooms that changed
+//   revealedExits: { [roomId]: ['dir', …] }                            // opened by triggers
+//   flags: { name: true }                                              // trigger/dialogue/evolution flags
+//   vendors: { [roomId]: { stock, restockAt, demand, at, seen } }      // market state (see js/economy.js)
+//
+// A room's items are its template `items` minus what was taken, plus what was dropped there.
+// Items may respawn where they were taken: `respawn: 600` (seconds) or { after: 600, when: { … } }.
+// `rev` is the time of a room's last change; multiplayer reconciliation (js/roomsync.js) keeps
+// the newer of two records.
+
+import { meetsConditions } from './conditions.js';
+
+const list = v => v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+export function emptyWorld() {
+  return { rooms: {}, revealedExits: {}, flags: {}, vendors: {} };
+}
+
+export class WorldState {
+  /**
+   * @param {QuantumTruthMUD} game - the host game
+   */
+  constructor(game) {
+    this.g = game;
+  }
+
+  get data() {
+    return this.g.state.world;
+  }
+
+  _room(roomId) {
+    return this.data.rooms[roomId] || (this.data.rooms[roomId] = { taken: [], dropped: [], rev: 0 });
+  }
+
+  _touch(rec, at) {
+    rec.rev = Math.max(rec.rev || 0, at);
+  }
+
+  // ----- Items -----
+
+  /**
+   * Items lying in a room right now (respawns are settled first).
+   */
+  roomItems(roomId) {
+    this.respawn(roomId);
+    const pool = [...list(this.g.roomTemplates[roomId]?.items)];
+    const rec = this.data.rooms[roomId];
+    if (!rec) return pool;
+    for (const t of rec.taken) {
+      const i = pool.indexOf(t.id);
+      if (i >= 0) pool.splice(i, 1);
+    }
+    return [...pool, ...rec.dropped];
+  }
+
+  /**
+   * Remove an item from a room; dropped copies go first (they never respawn).
+   * @returns {boolean} whether the room had it
+   */
+  takeItem(roomId, id, at = Date.now()) {
+    if (!this.roomItems(roomId).includes(id)) return false;
+    const rec = this._room(roomId);
+    const d = rec.dropped.indexOf(id);
+    if (d >= 0) rec.dropped.splice(d, 1);
+    else rec.taken.push({ id, at });
+    this._touch(rec, at);
+    return true;
+  }
+
+  dropItem(roomId, id, at = Date.now()) {
+    const rec = this._room(roomId);
+    rec.dropped.push(id);
+    this._touch(rec, at);
+  }
+
+  /**
+   * A copy of a room's record and revealed exits, for sharing.
+   */
+  record(roomId) {
+    const rec = this.data.rooms[roomId];
+    return {
+      taken: rec ? rec.taken.map(t => ({ ...t })) : [],
+      dropped: rec ? [...rec.dropped] : [],
+      rev: rec?.rev || 0,
+      revealed: [...(this.data.revealedExits[roomId] || [])]
+    };
+  }
+
+  /**
+   * Adopt a shared record when it is newer than ours. Revealed exits are merged (they never close).
+   * @returns {boolean} whether the room's items changed
+   */
+  adopt(roomId, shared) {
+    for (const dir of shared?.revealed || []) this.reveal(roomId, dir);
+    if (!shared || !Array.isArray(shared.taken) || !Array.isArray(shared.dropped)) return false;
+    if ((shared.rev || 0) <= (this.data.rooms[roomId]?.rev || 0)) return false;
+    this.data.rooms[roomId] = {
+      taken: shared.taken.filter(t => t && typeof t.id === 'string').map(t => ({ id: t.id, at: Number(t.at) || 0 })),
+      dropped: shared.dropped.filter(id => typeof id === 'string'),
+      rev: shared.rev
+    };
+    return true;
+  }
+
+  /**
+   * Return taken items whose respawn time has passed (and whose `when` holds).
+   */
+  respawn(roomId) {
+    const rec = this.data.rooms[roomId];
+    if (!rec?.taken.length) return 0;
+    const now = Date.now();
+    const before = rec.taken.length;
+    rec.taken = rec.taken.filter(t => {
+      const rule = this.g.items[t.id]?.respawn;
+      if (!rule) return true;
+      const { after, when } = typeof rule === 'number' ? { after: rule } : rule;
+      return !(typeof after === 'number' && now - t.at >= after * 1000 && meetsConditions(this.g, when));
+    });
+    return before - rec.taken.length;
+  }
+
+  // ----- Exits & flags -----
+
+  isRevealed(roomId, dir) {
+    return !!this.data.revealedExits[roomId]?.includes(dir);
+  }
+
+  reveal(roomId, dir) {
+    const open = this.data.revealedExits[roomId] || (this.data.revealedExits[roomId] = []);
+    if (open.includes(dir)) return false;
+    open.push(dir);
+    return true;
+  }
+
+  flag(name) {
+    return !!this.data.flags[name];
+  }
+
+  setFlag(name, value = true) {
+    if (value) this.data.flags[name] = true;
+    else delete this.data.flags[name];
+  }
+}
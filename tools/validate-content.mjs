@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// tools/validate-content.mjs
+// Validate packs.json (and the packs it lists) plus rooms.json / scenes.json / items.json / evolution.json / npcs.json / quests.json / recipes.json / encounters.json before committing:
+//   node tools/validate-content.mjs [dir]     (dir defaults to the repo root)
+// Exits 1 when errors are found; warnings alone exit 0 (add --strict to fail on them too).
+// The js/ modules are plain ES modules without a package.json, so this needs Node ≥ 22
+// (or Node 20 with --experimental-detect-module).
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { buildContent, normalizeManifest } from '../js/content.js';
+import { validateContent, formatDiagnostics } from '../js/validate.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const dir = resolve(args.find(a => !a.startsWith('--')) || new URL('..', import.meta.url).pathname);
+
+async function readJSON(file) {
+  let text;
+  try { text = await readFile(resolve(dir, file), 'utf8'); }
+  catch { return null; }
+  if (!text.trim()) return null;
+  try { return JSON.parse(text); }
+  catch (e) {
+    console.error(`ERROR ${file}: invalid JSON — ${e.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// Enabled packs as the manifest ships them; remote URLs can't be checked offline
+const packs = [];
+for (const pack of normalizeManifest(await readJSON('packs.json')).filter(p => p.enabled)) {
+  if (/^[a-z]+:\/\//i.test(pack.url)) {
+    console.log(`skip  ${pack.id}: remote pack ${pack.url}`);
+    continue;
+  }
+  const data = await readJSON(pack.url);
+  if (!data) console.error(`ERROR packs.${pack.id}: could not read ${pack.url}`);
+  packs.push({ ...pack, data });
+}
+if (packs.some(p => !p.data)) process.exitCode = 1;
+
+const overrides = {
+  packs,
+  rooms: await readJSON('rooms.json'),
+  scenes: await readJSON('scenes.json'),
+  items: await readJSON('items.json'),
+  evolution: await readJSON('evolution.json'),
+  npcs: await readJSON('npcs.json'),
+  quests: await readJSON('quests.json'),
+  recipes: await readJSON('recipes.json'),
+  encounters: await readJSON('encounters.json')
+};
+const diagnostics = validateContent(buildContent(overrides));
+console.log(formatDiagnostics(diagnostics));
+
+const errors = diagnostics.filter(d => d.level === 'error').length;
+const warnings = diagnostics.length - errors;
+if (diagnostics.length) console.log(`\n${errors} error(s), ${warnings} warning(s).`);
+if (errors || (strict && warnings)) process.exitCode = 1;